@@ -11,16 +11,36 @@ const state = {
     startLocation: null,
     destinations: [],
     returnToStart: true,
+    useEndLocation: false, // Finish at a fixed end location instead
+    endAddress: '',
+    endLocation: null,
     departureTime: null,
+    defaultDwellMinutes: 0,
+    vehicles: [],
+    vehicleCapacity: null, // Load each vehicle can carry; null means no limit
+    travelMode: 'car', // Routing profile (see TRAVEL_MODES)
+    avoid: { tolls: false, highways: false, ferries: false }, // Road types to route around
+    maxTripHours: null, // Optional trip length limit
+    finishBy: null, // Optional "HH:MM" the trip must be over by
     map: null,
     routeLayer: null,
     markersLayer: null,
-    isOptimizing: false
+    isOptimizing: false,
+    routePlans: null, // Last optimization result, one plan per vehicle
+    originalRoute: null, // Typed-order route the last result is compared with
+    savedRouteId: null, // Saved route the working trip was opened from or saved as
+    navigationApp: 'google', // Preferred app for turn-by-turn handoff (see NAVIGATION_APPS)
+    routingProviders: null, // Configured routing providers, or null for the public servers (see Routing Providers)
+    geocoder: { type: 'nominatim', url: '', apiKey: '', email: '' }, // Address search service (see GEOCODERS)
+    run: null // Run mode progress while driving a plan (see startRun)
 };
 
 // Destination counter for unique IDs
 let destinationCounter = 0;
 
+// Vehicle counter for unique IDs
+let vehicleCounter = 0;
+
 // ===================================
 // DOM Elements
 // ===================================
@@ -31,18 +51,112 @@ const elements = {
     startLocationStatus: document.getElementById('startLocationStatus'),
     detectLocationBtn: document.getElementById('detectLocationBtn'),
     addDestinationBtn: document.getElementById('addDestinationBtn'),
+    importBtn: document.getElementById('importBtn'),
+    importPanel: document.getElementById('importPanel'),
+    importFileInput: document.getElementById('importFile'),
+    importTextInput: document.getElementById('importText'),
+    importHasHeaderCheckbox: document.getElementById('importHasHeader'),
+    importMapping: document.getElementById('importMapping'),
+    importCancelBtn: document.getElementById('importCancelBtn'),
+    importConfirmBtn: document.getElementById('importConfirmBtn'),
+    importProgress: document.getElementById('importProgress'),
+    importProgressText: document.getElementById('importProgressText'),
+    importProgressFill: document.getElementById('importProgressFill'),
     destinationsList: document.getElementById('destinationsList'),
     returnToStartCheckbox: document.getElementById('returnToStart'),
+    useEndLocationCheckbox: document.getElementById('useEndLocation'),
+    endLocationContainer: document.getElementById('endLocationContainer'),
+    endLocationInput: document.getElementById('endLocation'),
+    endSuggestions: document.getElementById('endSuggestions'),
+    defaultDwellInput: document.getElementById('defaultDwell'),
+    maxTripHoursInput: document.getElementById('maxTripHours'),
+    finishByInput: document.getElementById('finishBy'),
+    vehicleCountInput: document.getElementById('vehicleCount'),
+    vehicleCapacityInput: document.getElementById('vehicleCapacity'),
+    travelModeSelect: document.getElementById('travelMode'),
+    avoidCheckboxes: document.querySelectorAll('[data-avoid] input'),
+    vehiclesList: document.getElementById('vehiclesList'),
     useDepartureTimeCheckbox: document.getElementById('useDepartureTime'),
     departureTimeContainer: document.getElementById('departureTimeContainer'),
     departureTimeInput: document.getElementById('departureTime'),
     optimizeBtn: document.getElementById('optimizeBtn'),
     resultsSection: document.getElementById('resultsSection'),
     optimizedTime: document.getElementById('optimizedTime'),
+    timeSavedLabel: document.getElementById('timeSavedLabel'),
     timeSaved: document.getElementById('timeSaved'),
     totalDistance: document.getElementById('totalDistance'),
+    drivingTotal: document.getElementById('drivingTotal'),
+    dwellTotal: document.getElementById('dwellTotal'),
+    finishTime: document.getElementById('finishTime'),
+    vehicleRoutes: document.getElementById('vehicleRoutes'),
     optimizedOrderList: document.getElementById('optimizedOrderList'),
+    scheduleWarning: document.getElementById('scheduleWarning'),
+    skippedStops: document.getElementById('skippedStops'),
+    skippedStopsList: document.getElementById('skippedStopsList'),
     openInMapsBtn: document.getElementById('openInMapsBtn'),
+    navigationAppSelect: document.getElementById('navigationApp'),
+    directionsPanel: document.getElementById('directionsPanel'),
+    startRunBtn: document.getElementById('startRunBtn'),
+    runPanel: document.getElementById('runPanel'),
+    runTitle: document.getElementById('runTitle'),
+    runGpsStatus: document.getElementById('runGpsStatus'),
+    runNext: document.getElementById('runNext'),
+    runStopsList: document.getElementById('runStopsList'),
+    stopRunBtn: document.getElementById('stopRunBtn'),
+    reoptimizeRunBtn: document.getElementById('reoptimizeRunBtn'),
+    proofDialog: document.getElementById('proofDialog'),
+    proofTitle: document.getElementById('proofTitle'),
+    proofStamp: document.getElementById('proofStamp'),
+    proofNoteInput: document.getElementById('proofNote'),
+    proofPhotoInput: document.getElementById('proofPhotoInput'),
+    proofPhotoPreview: document.getElementById('proofPhotoPreview'),
+    proofPhotoRemoveBtn: document.getElementById('proofPhotoRemoveBtn'),
+    proofSignatureCanvas: document.getElementById('proofSignature'),
+    proofSignatureClearBtn: document.getElementById('proofSignatureClearBtn'),
+    proofCancelBtn: document.getElementById('proofCancelBtn'),
+    proofSaveBtn: document.getElementById('proofSaveBtn'),
+    directionsList: document.getElementById('directionsList'),
+    navigationLegs: document.getElementById('navigationLegs'),
+    exportButtons: document.querySelectorAll('.export-actions [data-format]'),
+    printRunSheetBtn: document.getElementById('printRunSheetBtn'),
+    runSheet: document.getElementById('runSheet'),
+    routeNameInput: document.getElementById('routeName'),
+    saveRouteBtn: document.getElementById('saveRouteBtn'),
+    savedRoutesList: document.getElementById('savedRoutesList'),
+    shareTripBtn: document.getElementById('shareTripBtn'),
+    shareIncludeOrderCheckbox: document.getElementById('shareIncludeOrder'),
+    sharedTripBanner: document.getElementById('sharedTripBanner'),
+    sharedTripText: document.getElementById('sharedTripText'),
+    sharedOptimizeBtn: document.getElementById('sharedOptimizeBtn'),
+    sharedDismissBtn: document.getElementById('sharedDismissBtn'),
+    geocodeReview: document.getElementById('geocodeReview'),
+    reviewProgress: document.getElementById('reviewProgress'),
+    reviewQuery: document.getElementById('reviewQuery'),
+    reviewIssues: document.getElementById('reviewIssues'),
+    reviewCandidates: document.getElementById('reviewCandidates'),
+    reviewCancelBtn: document.getElementById('reviewCancelBtn'),
+    reviewConfirmBtn: document.getElementById('reviewConfirmBtn'),
+    settingsBtn: document.getElementById('settingsBtn'),
+    settingsDialog: document.getElementById('settingsDialog'),
+    settingsCloseBtn: document.getElementById('settingsCloseBtn'),
+    routingProvidersList: document.getElementById('routingProvidersList'),
+    publicProvidersNote: document.getElementById('publicProvidersNote'),
+    providerTypeSelect: document.getElementById('providerType'),
+    providerModeSelect: document.getElementById('providerMode'),
+    providerUrlInput: document.getElementById('providerUrl'),
+    providerKeyHeaderInput: document.getElementById('providerKeyHeader'),
+    providerKeyInput: document.getElementById('providerKey'),
+    addProviderBtn: document.getElementById('addProviderBtn'),
+    resetProvidersBtn: document.getElementById('resetProvidersBtn'),
+    geocoderTypeSelect: document.getElementById('geocoderType'),
+    geocoderUrlInput: document.getElementById('geocoderUrl'),
+    geocoderKeyField: document.getElementById('geocoderKeyField'),
+    geocoderKeyInput: document.getElementById('geocoderKey'),
+    geocoderEmailField: document.getElementById('geocoderEmailField'),
+    geocoderEmailInput: document.getElementById('geocoderEmail'),
+    cacheSize: document.getElementById('cacheSize'),
+    clearCacheBtn: document.getElementById('clearCacheBtn'),
+    cacheSummary: document.getElementById('cacheSummary'),
     toast: document.getElementById('toast')
 };
 
@@ -58,11 +172,69 @@ function initializeApp() {
     // Add event listeners
     elements.detectLocationBtn.addEventListener('click', detectUserLocation);
     elements.addDestinationBtn.addEventListener('click', addDestination);
+    elements.importBtn.addEventListener('click', toggleImportPanel);
+    elements.importFileInput.addEventListener('change', handleImportFile);
+    elements.importTextInput.addEventListener('input', handleImportTextChange);
+    elements.importHasHeaderCheckbox.addEventListener('change', renderImportMapping);
+    elements.importCancelBtn.addEventListener('click', closeImportPanel);
+    elements.importConfirmBtn.addEventListener('click', importStops);
     elements.returnToStartCheckbox.addEventListener('change', handleReturnToStartChange);
+    elements.useEndLocationCheckbox.addEventListener('change', handleEndLocationToggle);
+    elements.defaultDwellInput.addEventListener('change', handleDefaultDwellChange);
+    elements.maxTripHoursInput.addEventListener('change', handleMaxTripHoursChange);
+    elements.finishByInput.addEventListener('change', handleFinishByChange);
+    elements.vehicleCountInput.addEventListener('change', handleVehicleCountChange);
+    elements.vehicleCapacityInput.addEventListener('change', handleVehicleCapacityChange);
+    elements.travelModeSelect.addEventListener('change', handleTravelModeChange);
+    elements.avoidCheckboxes.forEach(checkbox => {
+        checkbox.addEventListener('change', handleAvoidChange);
+    });
     elements.useDepartureTimeCheckbox.addEventListener('change', handleDepartureTimeToggle);
     elements.departureTimeInput.addEventListener('change', handleDepartureTimeChange);
     elements.optimizeBtn.addEventListener('click', optimizeRoute);
-    elements.openInMapsBtn.addEventListener('click', openInGoogleMaps);
+    elements.openInMapsBtn.addEventListener('click', () => {
+        openInNavigationApp(state.routePlans ? state.routePlans[0] : null, elements.navigationLegs);
+    });
+    elements.navigationAppSelect.addEventListener('change', handleNavigationAppChange);
+    elements.printRunSheetBtn.addEventListener('click', printRunSheet);
+    elements.startRunBtn.addEventListener('click', () => startRun(0));
+    elements.stopRunBtn.addEventListener('click', () => {
+        stopRun();
+        scheduleAutosave();
+    });
+    elements.reoptimizeRunBtn.addEventListener('click', reoptimizeRemaining);
+    elements.proofPhotoInput.addEventListener('change', handleProofPhotoChange);
+    elements.proofPhotoRemoveBtn.addEventListener('click', () => setProofPhoto(null));
+    elements.proofSignatureClearBtn.addEventListener('click', clearSignature);
+    elements.proofCancelBtn.addEventListener('click', closeProofDialog);
+    elements.proofSaveBtn.addEventListener('click', saveProof);
+    setupSignaturePad(elements.proofSignatureCanvas);
+    elements.exportButtons.forEach(button => {
+        button.addEventListener('click', () => exportRoute(button.dataset.format));
+    });
+    elements.saveRouteBtn.addEventListener('click', saveCurrentRoute);
+    elements.shareTripBtn.addEventListener('click', shareTrip);
+    elements.sharedOptimizeBtn.addEventListener('click', () => {
+        elements.sharedTripBanner.style.display = 'none';
+        optimizeRoute();
+    });
+    elements.sharedDismissBtn.addEventListener('click', () => {
+        elements.sharedTripBanner.style.display = 'none';
+    });
+    elements.settingsBtn.addEventListener('click', openSettings);
+    elements.settingsCloseBtn.addEventListener('click', closeSettings);
+    elements.addProviderBtn.addEventListener('click', addRoutingProvider);
+    elements.resetProvidersBtn.addEventListener('click', resetRoutingProviders);
+    [elements.geocoderTypeSelect, elements.geocoderUrlInput, elements.geocoderKeyInput, elements.geocoderEmailInput].forEach(input => {
+        input.addEventListener('change', handleGeocoderChange);
+    });
+    elements.clearCacheBtn.addEventListener('click', clearResponseCache);
+    window.addEventListener('hashchange', openSharedTrip);
+    window.addEventListener('online', retryGeocodes);
+    
+    // Any edit to the trip gets auto-saved
+    document.addEventListener('input', scheduleAutosave);
+    document.addEventListener('change', scheduleAutosave);
     
     // Set default departure time to now + 15 minutes
     const now = new Date();
@@ -76,11 +248,39 @@ function initializeApp() {
         showToast('Start location set', 'success');
     });
     
+    // End location input with autocomplete
+    setupAutocomplete(elements.endLocationInput, elements.endSuggestions, (location) => {
+        state.endAddress = location.address;
+        state.endLocation = location;
+        showToast('End location set', 'success');
+    });
+    
+    // Typed without picking a suggestion: geocode during optimization
+    elements.endLocationInput.addEventListener('blur', () => {
+        if (elements.endLocationInput.value !== state.endAddress) {
+            state.endAddress = elements.endLocationInput.value.trim();
+            state.endLocation = null;
+        }
+    });
+    
+    // Start with a single vehicle
+    state.vehicles = [createVehicle()];
+    
     // Add initial destination field
     addDestination();
     
-    // Try to auto-detect location on load
-    detectUserLocation();
+    renderSavedRoutes();
+    loadNavigationApp();
+    loadRoutingProviders();
+    loadGeocoder();
+    
+    // Open a shared link, pick up where we left off, or try to auto-detect location on load
+    restoreWorkingTrip().then(async restored => {
+        const shared = await openSharedTrip();
+        if (!shared && !restored) {
+            detectUserLocation();
+        }
+    });
 }
 
 // ===================================
@@ -115,6 +315,7 @@ function detectUserLocation() {
                 elements.startLocationStatus.textContent = '✓ Location detected';
                 elements.startLocationStatus.className = 'location-status success';
                 updateOptimizeButton();
+                scheduleAutosave();
             } catch (error) {
                 elements.startLocationStatus.textContent = 'Could not get address. Please enter manually.';
                 elements.startLocationStatus.className = 'location-status error';
@@ -136,55 +337,329 @@ function detectUserLocation() {
 }
 
 // ===================================
-// Geocoding (using OpenStreetMap Nominatim)
+// Geocoder Request Scheduler
+// ===================================
+
+// Every geocoder request goes through here, so typing, imports and optimizing together
+// still stay within the service's rate limit
+const geocoderScheduler = {
+    nextSlotAt: 0,      // Earliest time the next request may start
+    inFlight: new Map() // Request URL -> { promise, controller, waiters }
+};
+
+/**
+ * Fetch a geocoder URL through the shared scheduler. Requests start at least
+ * minIntervalMs apart, in call order. A request for a URL that is already queued or
+ * in flight shares its response. Aborting the signal drops the caller; the request
+ * itself is cancelled once no caller is waiting for it.
+ * @param {string} url - Geocoder request URL
+ * @param {?AbortSignal} signal - Cancels this caller's interest, e.g. for stale autocomplete
+ * @returns {Promise<any>} Parsed JSON response
+ */
+function requestGeocoder(url, signal = null) {
+    // Already replaced by a newer search before it was queued
+    if (signal && signal.aborted) {
+        return Promise.reject(new DOMException('Geocoding request cancelled', 'AbortError'));
+    }
+    
+    let entry = geocoderScheduler.inFlight.get(url);
+    if (!entry) {
+        const controller = new AbortController();
+        const created = { controller, waiters: 0, promise: null };
+        created.promise = sendGeocoderRequest(url, controller.signal).finally(() => {
+            if (geocoderScheduler.inFlight.get(url) === created) {
+                geocoderScheduler.inFlight.delete(url);
+            }
+        });
+        geocoderScheduler.inFlight.set(url, created);
+        entry = created;
+    }
+    entry.waiters++;
+    
+    if (!signal) {
+        return entry.promise;
+    }
+    
+    const shared = entry;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            shared.waiters--;
+            if (shared.waiters === 0) {
+                // Nobody wants it any more; a later identical query starts afresh
+                shared.controller.abort();
+                if (geocoderScheduler.inFlight.get(url) === shared) {
+                    geocoderScheduler.inFlight.delete(url);
+                }
+            }
+            reject(new DOMException('Geocoding request cancelled', 'AbortError'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        shared.promise.then(resolve, reject).finally(() => {
+            signal.removeEventListener('abort', onAbort);
+        });
+    });
+}
+
+// Wait for the next free slot, then send the request
+async function sendGeocoderRequest(url, signal) {
+    const interval = GEOCODERS[getGeocoder().type].minIntervalMs;
+    const now = Date.now();
+    const slot = Math.max(now, geocoderScheduler.nextSlotAt);
+    geocoderScheduler.nextSlotAt = slot + interval;
+    
+    if (slot > now) {
+        await new Promise(resolve => {
+            const timeoutId = setTimeout(resolve, slot - now);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timeoutId);
+                resolve();
+            }, { once: true });
+        });
+    }
+    
+    if (signal.aborted) {
+        // Hand the slot back if nothing was queued after it
+        if (geocoderScheduler.nextSlotAt === slot + interval) {
+            geocoderScheduler.nextSlotAt = slot;
+        }
+        throw new DOMException('Geocoding request cancelled', 'AbortError');
+    }
+    
+    // Browsers don't let pages set User-Agent; the Referer (the app's address) identifies us
+    const response = await fetch(url, {
+        signal,
+        referrerPolicy: 'strict-origin-when-cross-origin',
+        headers: {
+            'Accept': 'application/json',
+            'Accept-Language': navigator.language || 'en'
+        }
+    });
+    if (!response.ok) {
+        throw new Error(`Geocoding request failed (HTTP ${response.status})`);
+    }
+    return response.json();
+}
+
+// ===================================
+// Geocoding (Nominatim, Photon or Pelias)
 // ===================================
 
+const GEOCODER_SETTING = 'geocoder';
+
+/**
+ * Supported geocoding services. Each turns its own response format into Nominatim-style
+ * results ({display_name, lat, lon, importance, type}), which the rest of the app reads.
+ * - defaultUrl: Public server, used when no self-hosted address is set
+ * - minIntervalMs: Gap between requests; Nominatim's usage policy allows one per second
+ */
+const GEOCODERS = {
+    nominatim: {
+        name: 'Nominatim',
+        defaultUrl: 'https://nominatim.openstreetmap.org',
+        minIntervalMs: 1000,
+        searchUrl: buildNominatimSearchUrl,
+        reverseUrl: (geocoder, lat, lng) => `${geocoder.url}/reverse?lat=${lat}&lon=${lng}&format=json${getNominatimEmailParam(geocoder)}`,
+        parseSearch: data => data.map(result => ({ ...result })), // Copies: a shared response may have several readers
+        parseReverse: data => data.display_name || null
+    },
+    photon: {
+        name: 'Photon',
+        defaultUrl: 'https://photon.komoot.io',
+        minIntervalMs: 1000,
+        searchUrl: buildPhotonSearchUrl,
+        reverseUrl: (geocoder, lat, lng) => `${geocoder.url}/reverse?lat=${lat}&lon=${lng}`,
+        parseSearch: data => (data.features || []).map(parsePhotonFeature),
+        parseReverse: data => (data.features && data.features[0] ? parsePhotonFeature(data.features[0]).display_name : null)
+    },
+    pelias: {
+        name: 'Pelias',
+        defaultUrl: 'https://api.geocode.earth',
+        minIntervalMs: 100,
+        searchUrl: buildPeliasSearchUrl,
+        reverseUrl: (geocoder, lat, lng) => `${geocoder.url}/v1/reverse?point.lat=${lat}&point.lon=${lng}&size=1${getPeliasKeyParam(geocoder)}`,
+        parseSearch: data => (data.features || []).map(parsePeliasFeature),
+        parseReverse: data => (data.features && data.features[0] ? data.features[0].properties.label : null)
+    }
+};
+
+// Photon and Pelias place types in the names the geocode review uses (see VAGUE_PLACE_TYPES)
+const PHOTON_PLACE_TYPES = { district: 'suburb', locality: 'suburb' };
+const PELIAS_PLACE_TYPES = {
+    neighbourhood: 'suburb',
+    borough: 'suburb',
+    locality: 'city',
+    localadmin: 'city',
+    macrocounty: 'county',
+    macroregion: 'region',
+    postalcode: 'postcode'
+};
+
+// Chosen geocoder with its server address filled in
+function getGeocoder() {
+    const type = GEOCODERS[state.geocoder.type] ? state.geocoder.type : 'nominatim';
+    return {
+        ...state.geocoder,
+        type,
+        url: (state.geocoder.url || GEOCODERS[type].defaultUrl).replace(/\/+$/, '')
+    };
+}
+
+// Nominatim asks heavy users to identify themselves with a contact address
+function getNominatimEmailParam(geocoder) {
+    return geocoder.email ? `&email=${encodeURIComponent(geocoder.email)}` : '';
+}
+
+function getPeliasKeyParam(geocoder) {
+    return geocoder.apiKey ? `&api_key=${encodeURIComponent(geocoder.apiKey)}` : '';
+}
+
+function buildNominatimSearchUrl(geocoder, query, limit, near) {
+    let url = `${geocoder.url}/search?q=${encodeURIComponent(query)}&format=json&limit=${limit}`;
+    
+    // If we have a reference point, use bounded search to prefer nearby results
+    if (near) {
+        const viewbox = `${near.lng - 0.5},${near.lat - 0.5},${near.lng + 0.5},${near.lat + 0.5}`;
+        url += `&viewbox=${viewbox}&bounded=0`;
+    }
+    
+    return url + getNominatimEmailParam(geocoder);
+}
+
+function buildPhotonSearchUrl(geocoder, query, limit, near) {
+    let url = `${geocoder.url}/api/?q=${encodeURIComponent(query)}&limit=${limit}`;
+    if (near) {
+        url += `&lat=${near.lat}&lon=${near.lng}`;
+    }
+    return url;
+}
+
+function buildPeliasSearchUrl(geocoder, query, limit, near) {
+    let url = `${geocoder.url}/v1/search?text=${encodeURIComponent(query)}&size=${limit}`;
+    if (near) {
+        url += `&focus.point.lat=${near.lat}&focus.point.lon=${near.lng}`;
+    }
+    return url + getPeliasKeyParam(geocoder);
+}
+
+// Photon returns address parts; join them into one line like Nominatim's display_name
+function parsePhotonFeature(feature) {
+    const p = feature.properties;
+    const street = [p.street, p.housenumber].filter(Boolean).join(' ');
+    const town = [p.postcode, p.city].filter(Boolean).join(' ');
+    const parts = [p.name, street, town, p.state, p.country].filter(Boolean);
+    return {
+        display_name: [...new Set(parts)].join(', '),
+        lat: String(feature.geometry.coordinates[1]),
+        lon: String(feature.geometry.coordinates[0]),
+        importance: null, // Only Nominatim rates its matches
+        type: PHOTON_PLACE_TYPES[p.type] || p.type || null
+    };
+}
+
+function parsePeliasFeature(feature) {
+    const p = feature.properties;
+    return {
+        display_name: p.label,
+        lat: String(feature.geometry.coordinates[1]),
+        lon: String(feature.geometry.coordinates[0]),
+        importance: null,
+        type: PELIAS_PLACE_TYPES[p.layer] || p.layer || null
+    };
+}
+
+async function loadGeocoder() {
+    try {
+        const geocoder = await getSetting(GEOCODER_SETTING);
+        if (geocoder && GEOCODERS[geocoder.type]) {
+            state.geocoder = { ...state.geocoder, ...geocoder };
+        }
+    } catch (error) {
+        console.warn('Could not load the geocoder settings:', error);
+    }
+    renderGeocoderSettings();
+}
+
+function renderGeocoderSettings() {
+    const geocoder = GEOCODERS[state.geocoder.type] || GEOCODERS.nominatim;
+    elements.geocoderTypeSelect.value = state.geocoder.type;
+    elements.geocoderUrlInput.value = state.geocoder.url;
+    elements.geocoderUrlInput.placeholder = geocoder.defaultUrl;
+    elements.geocoderKeyInput.value = state.geocoder.apiKey;
+    elements.geocoderEmailInput.value = state.geocoder.email;
+    elements.geocoderKeyField.style.display = state.geocoder.type === 'pelias' ? '' : 'none';
+    elements.geocoderEmailField.style.display = state.geocoder.type === 'nominatim' ? '' : 'none';
+}
+
+function handleGeocoderChange() {
+    state.geocoder = {
+        type: elements.geocoderTypeSelect.value,
+        url: elements.geocoderUrlInput.value.trim(),
+        apiKey: elements.geocoderKeyInput.value.trim(),
+        email: elements.geocoderEmailInput.value.trim()
+    };
+    renderGeocoderSettings();
+    saveSetting(GEOCODER_SETTING, state.geocoder).catch(error => {
+        console.warn('Could not save the geocoder settings:', error);
+    });
+}
+
 async function reverseGeocode(lat, lng) {
     try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json`
-        );
-        if (!response.ok) {
-            throw new Error('Geocoding request failed');
+        const geocoder = getGeocoder();
+        const cacheKey = getGeocodeCacheKey(geocoder, 'reverse', formatCacheCoord({ lat, lng }));
+        const cached = await getCachedResponse(cacheKey);
+        if (cached) {
+            return cached;
         }
-        const data = await response.json();
-        return data.display_name || `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+        
+        const engine = GEOCODERS[geocoder.type];
+        const data = await requestGeocoder(engine.reverseUrl(geocoder, lat, lng));
+        const address = engine.parseReverse(data);
+        if (address) {
+            cacheResponse(cacheKey, address, GEOCODE_CACHE_TTL_MS);
+        }
+        return address || `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
     } catch (error) {
         console.error('Reverse geocoding error:', error);
         return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
     }
 }
 
-async function geocode(query) {
+// Search the chosen geocoder, answering repeated searches from the cache
+async function searchGeocoder(query, limit, near, signal) {
+    const geocoder = getGeocoder();
+    const cacheKey = getGeocodeCacheKey(geocoder, `search${limit}`, normalizeAddress(query), near);
+    const cached = await getCachedResponse(cacheKey);
+    if (cached) {
+        return cached;
+    }
+    
+    const engine = GEOCODERS[geocoder.type];
+    const data = await requestGeocoder(engine.searchUrl(geocoder, query, limit, near), signal);
+    const results = engine.parseSearch(data);
+    // Not-found answers aren't kept, so a fixed-up address gets a fresh try
+    if (results.length > 0) {
+        cacheResponse(cacheKey, results, GEOCODE_CACHE_TTL_MS);
+    }
+    return results;
+}
+
+async function geocode(query, signal = null) {
     try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=5`
-        );
-        if (!response.ok) {
-            throw new Error('Geocoding request failed');
-        }
-        return await response.json();
+        return await searchGeocoder(query, 5, null, signal);
     } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
         console.error('Geocoding error:', error);
         return [];
     }
 }
 
-async function searchLocation(query, nearLat = null, nearLng = null) {
+async function searchLocation(query, nearLat = null, nearLng = null, signal = null) {
     try {
-        let url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=10`;
-        
-        // If we have a reference point, use bounded search to prefer nearby results
-        if (nearLat && nearLng) {
-            const viewbox = `${nearLng - 0.5},${nearLat - 0.5},${nearLng + 0.5},${nearLat + 0.5}`;
-            url += `&viewbox=${viewbox}&bounded=0`;
-        }
-        
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error('Location search request failed');
-        }
-        const results = await response.json();
+        const near = nearLat && nearLng ? { lat: nearLat, lng: nearLng } : null;
+        const results = await searchGeocoder(query, 10, near, signal);
         
         // If we have a reference point, sort results by straight-line distance first
         // (will be refined with driving time later)
@@ -200,102 +675,63 @@ async function searchLocation(query, nearLat = null, nearLng = null) {
         
         return results;
     } catch (error) {
-        console.error('Location search error:', error);
-        return [];
+        // A failed lookup isn't "no match"; let callers tell the two apart
+        if (error.name !== 'AbortError') {
+            console.error('Location search error:', error);
+        }
+        throw error;
     }
 }
 
-// Estimate driving time to a location from a reference point
-async function estimateDrivingTime(fromLat, fromLng, toLat, toLng) {
-    const coords = `${fromLng.toFixed(6)},${fromLat.toFixed(6)};${toLng.toFixed(6)},${toLat.toFixed(6)}`;
+// Estimate driving time to a location from a reference point. Pass { cache: false }
+// for one-off origins such as a live GPS position.
+async function estimateDrivingTime(fromLat, fromLng, toLat, toLng, options = {}) {
+    const { cache = true } = options;
+    const profile = getRoutingProfile();
+    const waypoints = [{ lat: fromLat, lng: fromLng }, { lat: toLat, lng: toLng }];
     
-    // Try each OSRM routing server
-    for (const serverUrl of ROUTING_SERVERS) {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000);
-            
-            const response = await fetch(
-                `${serverUrl}/route/v1/driving/${coords}?overview=false`,
-                { signal: controller.signal }
-            );
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                continue; // Try next server
-            }
-            
-            const data = await response.json();
-            if (data.code === 'Ok' && data.routes && data.routes.length > 0) {
-                return {
-                    duration: data.routes[0].duration, // seconds
-                    distance: data.routes[0].distance  // meters
-                };
-            }
-        } catch (error) {
-            console.warn(`Driving time estimation failed for ${serverUrl}:`, error.message);
-            // Continue to next server
-        }
+    const cacheKey = getTravelTimeCacheKey(profile, waypoints[0], waypoints[1]);
+    const cached = cache ? await getCachedResponse(cacheKey) : null;
+    if (cached) {
+        return cached;
     }
     
-    // Try Valhalla as fallback
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000);
-        
-        const requestBody = {
-            locations: [
-                { lat: fromLat, lon: fromLng },
-                { lat: toLat, lon: toLng }
-            ],
-            costing: 'auto',
-            directions_options: { units: 'kilometers' }
-        };
-        
-        const response = await fetch(VALHALLA_SERVER, {
-            method: 'POST',
-            signal: controller.signal,
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (response.ok) {
-            const data = await response.json();
-            if (data.trip && data.trip.summary) {
-                return {
-                    duration: data.trip.summary.time, // seconds
-                    distance: data.trip.summary.length * 1000  // convert km to meters
-                };
+    // First routing provider that answers, in the configured order
+    for (const provider of getRoutingChain(profile)) {
+        const engine = ROUTING_ENGINES[provider.type];
+        const result = await engine.route(provider, waypoints, profile, 10000);
+        if (result.success) {
+            const estimate = {
+                duration: result.data.duration, // seconds
+                distance: result.data.distance  // meters
+            };
+            // A car router's time for a truck is fine for now but not worth keeping
+            if (cache && (!profile.isTruck || engine.restrictsTrucks)) {
+                cacheResponse(cacheKey, estimate, TRAVEL_TIME_CACHE_TTL_MS);
             }
+            return estimate;
         }
-    } catch (error) {
-        console.warn('Valhalla driving time estimation failed:', error.message);
+        console.warn(`Driving time estimation failed for ${provider.url}:`, result.error);
     }
     
     // Fallback: estimate using straight-line distance and average speed
     const straightLineKm = calculateDistance(fromLat, fromLng, toLat, toLng);
     return {
-        duration: (straightLineKm / FALLBACK_AVERAGE_SPEED_KMH) * 3600, // seconds
+        duration: (straightLineKm / profile.fallbackSpeedKmh) * 3600, // seconds
         distance: straightLineKm * 1000, // meters
         isEstimate: true
     };
 }
 
 // Search for locations with driving time estimates
-async function searchLocationWithTimes(query, nearLat, nearLng) {
+async function searchLocationWithTimes(query, nearLat, nearLng, signal = null) {
     try {
-        const results = await searchLocation(query, nearLat, nearLng);
+        const results = await searchLocation(query, nearLat, nearLng, signal);
         
         if (results.length === 0) {
             // Truncate query to prevent potential issues with very long inputs
             const truncatedQuery = query.length > 50 ? query.substring(0, 50) + '...' : query;
-            throw new Error(`Location "${truncatedQuery}" not found. Please try a different address or be more specific.`);
+            throw new DOMException(`Location "${truncatedQuery}" not found. Please try a different address or be more specific.`, 'NotFoundError');
         }
         
         if (!nearLat || !nearLng) {
@@ -309,6 +745,10 @@ async function searchLocationWithTimes(query, nearLat, nearLng) {
         const resultsWithTimes = [];
         for (let i = 0; i < topResults.length; i++) {
             const result = topResults[i];
+            // A newer search replaced this one
+            if (signal && signal.aborted) {
+                throw new DOMException('Search cancelled', 'AbortError');
+            }
             try {
                 const timeInfo = await estimateDrivingTime(
                     nearLat, nearLng,
@@ -349,7 +789,9 @@ async function searchLocationWithTimes(query, nearLat, nearLng) {
         
         return resultsWithTimes;
     } catch (error) {
-        console.error('searchLocationWithTimes error:', error);
+        if (error.name !== 'AbortError') {
+            console.error('searchLocationWithTimes error:', error);
+        }
         throw error;
     }
 }
@@ -361,6 +803,9 @@ async function searchLocationWithTimes(query, nearLat, nearLng) {
 let autocompleteTimeout = null;
 
 function setupAutocomplete(inputElement, suggestionsElement, onSelect, useTimesEstimate = false) {
+    // Search still running for this input, cancelled when the text changes again
+    let activeSearch = null;
+    
     inputElement.addEventListener('input', (e) => {
         const query = e.target.value.trim();
         
@@ -368,6 +813,10 @@ function setupAutocomplete(inputElement, suggestionsElement, onSelect, useTimesE
         if (autocompleteTimeout) {
             clearTimeout(autocompleteTimeout);
         }
+        if (activeSearch) {
+            activeSearch.abort();
+            activeSearch = null;
+        }
         
         if (query.length < 3) {
             hideSuggestions(suggestionsElement);
@@ -376,6 +825,8 @@ function setupAutocomplete(inputElement, suggestionsElement, onSelect, useTimesE
         
         // Debounce API calls
         autocompleteTimeout = setTimeout(async () => {
+            const search = new AbortController();
+            activeSearch = search;
             try {
                 let results;
                 // For destination inputs, use time-based search if we have a start location
@@ -383,10 +834,11 @@ function setupAutocomplete(inputElement, suggestionsElement, onSelect, useTimesE
                     results = await searchLocationWithTimes(
                         query,
                         state.startLocation.lat,
-                        state.startLocation.lng
+                        state.startLocation.lng,
+                        search.signal
                     );
                 } else {
-                    results = await geocode(query);
+                    results = await geocode(query, search.signal);
                 }
                 
                 showSuggestions(suggestionsElement, results, (result) => {
@@ -399,7 +851,13 @@ function setupAutocomplete(inputElement, suggestionsElement, onSelect, useTimesE
                     hideSuggestions(suggestionsElement);
                 }, useTimesEstimate);
             } catch (error) {
-                console.error('Autocomplete error:', error);
+                if (error.name !== 'AbortError') {
+                    console.error('Autocomplete error:', error);
+                }
+            } finally {
+                if (activeSearch === search) {
+                    activeSearch = null;
+                }
             }
         }, 300);
     });
@@ -446,7 +904,10 @@ function showSuggestions(container, results, onSelect, showTimes = false) {
             item.appendChild(timeBadge);
         }
         
-        item.addEventListener('click', () => onSelect(result));
+        item.addEventListener('click', () => {
+            onSelect(result);
+            scheduleAutosave();
+        });
         container.appendChild(item);
     });
     
@@ -462,14 +923,7 @@ function hideSuggestions(container) {
 // ===================================
 
 function addDestination() {
-    const id = ++destinationCounter;
-    
-    const destination = {
-        id: id,
-        address: '',
-        location: null,
-        locked: false
-    };
+    const destination = createDestination();
     
     state.destinations.push(destination);
     renderDestinations();
@@ -477,17 +931,56 @@ function addDestination() {
     
     // Focus the new input
     setTimeout(() => {
-        const newInput = document.querySelector(`[data-destination-id="${id}"] .destination-input`);
+        const newInput = document.querySelector(`[data-destination-id="${destination.id}"] .destination-input`);
         if (newInput) newInput.focus();
     }, 100);
 }
 
+function createDestination() {
+    const id = ++destinationCounter;
+    
+    return {
+        id: id,
+        address: '',
+        location: null,
+        locked: false,
+        earliest: null, // "HH:MM" - optional arrival window
+        latest: null,
+        dwellMinutes: null, // Time spent at the stop; null uses the default
+        vehicleId: null, // Vehicle this stop must be assigned to (multi-vehicle trips)
+        load: 0, // Picked up (positive) or delivered (negative) at the stop
+        partnerId: null, // Paired pickup/delivery stop
+        optional: false, // Can be skipped when the trip runs out of time
+        priority: 1, // Value of an optional stop; higher values are kept first
+        name: '', // Optional label, e.g. the customer
+        notes: '',
+        geocodeStatus: null, // 'pending' while queued for geocoding, 'failed' if no match was found, 'retry' if the lookup itself failed
+        proof: null // Proof of visit once captured (see saveProof)
+    };
+}
+
 function removeDestination(id) {
     state.destinations = state.destinations.filter(d => d.id !== id);
+    state.destinations.forEach(d => {
+        if (d.partnerId === id) d.partnerId = null;
+    });
+    expandedDestinations.delete(id);
     renderDestinations();
     updateOptimizeButton();
 }
 
+// IDs of destinations whose details editor is open
+const expandedDestinations = new Set();
+
+function toggleDestinationDetails(id) {
+    if (expandedDestinations.has(id)) {
+        expandedDestinations.delete(id);
+    } else {
+        expandedDestinations.add(id);
+    }
+    renderDestinations();
+}
+
 function toggleDestinationLock(id) {
     const destination = state.destinations.find(d => d.id === id);
     if (destination) {
@@ -498,6 +991,7 @@ function toggleDestinationLock(id) {
 }
 
 function renderDestinations() {
+    scheduleAutosave();
     elements.destinationsList.innerHTML = '';
     
     if (state.destinations.length === 0) {
@@ -531,21 +1025,35 @@ function createDestinationElement(destination, number) {
             ${number}
         </div>
         <div class="destination-input-wrapper">
+            <div class="destination-name"></div>
             <input type="text" 
                    class="destination-input" 
                    placeholder="Enter destination (e.g., Walmart, 123 Main St...)"
-                   value="${destination.address}"
                    autocomplete="off">
             <div class="suggestions-dropdown"></div>
         </div>
+        <button class="details-btn ${hasDestinationDetails(destination) ? 'has-details' : ''}" 
+                title="Arrival window and details">⏱</button>
         <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
         <button class="delete-btn" title="Remove destination">×</button>
     `;
     
+    if (expandedDestinations.has(destination.id)) {
+        item.appendChild(createDestinationDetails(destination));
+    }
+    
+    // Set as a property so imported text can't break the markup
+    item.querySelector('.destination-input').value = destination.address;
+    showDestinationStatus(item, destination);
+    
     // Lock/unlock on number click
     const numberEl = item.querySelector('.destination-number');
     numberEl.addEventListener('click', () => toggleDestinationLock(destination.id));
     
+    // Details editor toggle
+    const detailsBtn = item.querySelector('.details-btn');
+    detailsBtn.addEventListener('click', () => toggleDestinationDetails(destination.id));
+    
     // Delete button
     const deleteBtn = item.querySelector('.delete-btn');
     deleteBtn.addEventListener('click', () => removeDestination(destination.id));
@@ -557,6 +1065,8 @@ function createDestinationElement(destination, number) {
     setupAutocomplete(input, suggestions, (location) => {
         destination.address = location.address;
         destination.location = location;
+        destination.geocodeStatus = null;
+        showDestinationStatus(item, destination);
         updateOptimizeButton();
     }, true); // Enable time-based search for destinations
     
@@ -565,6 +1075,8 @@ function createDestinationElement(destination, number) {
         if (input.value !== destination.address) {
             destination.address = input.value;
             destination.location = null; // Will be geocoded during optimization
+            destination.geocodeStatus = null;
+            showDestinationStatus(item, destination);
         }
     });
     
@@ -574,74 +1086,613 @@ function createDestinationElement(destination, number) {
     return item;
 }
 
-// ===================================
-// Drag and Drop
-// ===================================
-
-function initializeDragAndDrop() {
-    const items = elements.destinationsList.querySelectorAll('.destination-item');
+// Name line and geocoding highlight of a destination row
+function showDestinationStatus(item, destination) {
+    item.classList.toggle('geocode-pending', destination.geocodeStatus === 'pending');
+    item.classList.toggle('geocode-failed', destination.geocodeStatus === 'failed');
+    item.classList.toggle('geocode-retry', destination.geocodeStatus === 'retry');
     
-    items.forEach(item => {
-        item.addEventListener('dragstart', handleDragStart);
-        item.addEventListener('dragend', handleDragEnd);
-        item.addEventListener('dragover', handleDragOver);
-        item.addEventListener('drop', handleDrop);
-        item.addEventListener('dragenter', handleDragEnter);
-        item.addEventListener('dragleave', handleDragLeave);
-    });
+    const prefix = destination.name ? destination.name + ' - ' : '';
+    const nameEl = item.querySelector('.destination-name');
+    nameEl.textContent = destination.geocodeStatus === 'failed'
+        ? `${prefix}Address not found, please fix`
+        : destination.geocodeStatus === 'retry'
+            ? `${prefix}Lookup failed, will retry`
+            : destination.name;
+    nameEl.style.display = nameEl.textContent ? '' : 'none';
 }
 
-let draggedItem = null;
-
-function handleDragStart(e) {
-    draggedItem = this;
-    this.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/plain', this.dataset.destinationId);
+// Whether a destination has any optional settings filled in
+function hasDestinationDetails(destination) {
+    return Boolean(destination.earliest || destination.latest) ||
+        Boolean(destination.name || destination.notes) ||
+        destination.dwellMinutes !== null ||
+        destination.load !== 0 ||
+        destination.partnerId !== null ||
+        destination.optional ||
+        (state.vehicles.length > 1 && destination.vehicleId !== null);
 }
 
-function handleDragEnd() {
-    this.classList.remove('dragging');
-    document.querySelectorAll('.destination-item').forEach(item => {
-        item.classList.remove('drag-over');
+// Editor for a destination's optional settings
+function createDestinationDetails(destination) {
+    const details = document.createElement('div');
+    details.className = 'destination-details';
+    
+    details.innerHTML = `
+        <label class="detail-field">
+            <span class="detail-label">Name</span>
+            <input type="text" class="text-input" data-field="name" autocomplete="off">
+        </label>
+        <label class="detail-field">
+            <span class="detail-label">Notes</span>
+            <textarea class="text-input notes-input" data-field="notes" rows="2"></textarea>
+        </label>
+        <label class="detail-field">
+            <span class="detail-label">Arrive between</span>
+            <span class="time-window-inputs">
+                <input type="time" class="time-input" data-field="earliest">
+                <span>and</span>
+                <input type="time" class="time-input" data-field="latest">
+            </span>
+        </label>
+        <label class="detail-field">
+            <span class="detail-label">Time at stop (minutes)</span>
+            <input type="number" class="number-input dwell-input" min="0" step="1">
+        </label>
+        <label class="detail-field">
+            <span class="detail-label">Load</span>
+            <input type="number" class="number-input load-input" step="1" placeholder="0">
+            <span class="detail-hint">Positive to pick up, negative to deliver</span>
+        </label>
+        <label class="detail-field">
+            <span class="detail-label">Paired with</span>
+            <select class="select-input partner-select"></select>
+            <span class="detail-hint">The pickup is always visited before its delivery</span>
+        </label>
+        <label class="checkbox-wrapper">
+            <input type="checkbox" class="optional-input">
+            <span class="checkmark"></span>
+            <span class="label-text">Optional - skip if there isn't time</span>
+        </label>
+        <label class="detail-field priority-field">
+            <span class="detail-label">Value (higher is kept first)</span>
+            <input type="number" class="number-input priority-input" min="1" step="1">
+        </label>
+    `;
+    
+    const refreshDetailsBadge = () => {
+        const btn = details.parentElement && details.parentElement.querySelector('.details-btn');
+        if (btn) btn.classList.toggle('has-details', hasDestinationDetails(destination));
+    };
+    
+    details.querySelectorAll('.text-input').forEach(input => {
+        const field = input.dataset.field;
+        input.value = destination[field];
+        input.addEventListener('change', () => {
+            destination[field] = input.value.trim();
+            refreshDetailsBadge();
+            
+            // The name shows above the address
+            if (field === 'name') renderDestinations();
+        });
     });
-    draggedItem = null;
-}
-
-function handleDragOver(e) {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-}
-
-function handleDragEnter(e) {
-    e.preventDefault();
-    if (this !== draggedItem) {
-        this.classList.add('drag-over');
-    }
-}
-
-function handleDragLeave() {
-    this.classList.remove('drag-over');
-}
-
-function handleDrop(e) {
-    e.preventDefault();
-    this.classList.remove('drag-over');
     
-    if (draggedItem === this) return;
+    details.querySelectorAll('.time-input').forEach(input => {
+        const field = input.dataset.field;
+        input.value = destination[field] || '';
+        input.addEventListener('change', () => {
+            destination[field] = input.value || null;
+            refreshDetailsBadge();
+        });
+    });
     
-    const draggedId = parseInt(draggedItem.dataset.destinationId);
-    const targetId = parseInt(this.dataset.destinationId);
+    // Empty means "use the default"
+    const dwellInput = details.querySelector('.dwell-input');
+    dwellInput.placeholder = `Default (${state.defaultDwellMinutes})`;
+    dwellInput.value = destination.dwellMinutes ?? '';
+    dwellInput.addEventListener('change', () => {
+        const minutes = parseFloat(dwellInput.value);
+        destination.dwellMinutes = Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+        dwellInput.value = destination.dwellMinutes ?? '';
+        refreshDetailsBadge();
+    });
     
-    const draggedIndex = state.destinations.findIndex(d => d.id === draggedId);
-    const targetIndex = state.destinations.findIndex(d => d.id === targetId);
+    const loadInput = details.querySelector('.load-input');
+    loadInput.value = destination.load || '';
+    loadInput.addEventListener('change', () => {
+        const load = parseFloat(loadInput.value);
+        destination.load = Number.isFinite(load) ? load : 0;
+        loadInput.value = destination.load || '';
+        refreshDetailsBadge();
+    });
     
-    // Swap positions
-    const [removed] = state.destinations.splice(draggedIndex, 1);
-    state.destinations.splice(targetIndex, 0, removed);
+    // Partner choices are the other stops, by their list number
+    const partnerSelect = details.querySelector('.partner-select');
+    partnerSelect.add(new Option('None', ''));
+    state.destinations.forEach((other, index) => {
+        if (other.id !== destination.id) {
+            const label = `${index + 1} · ${truncateAddress(other.address || 'Empty stop')}`;
+            partnerSelect.add(new Option(label, String(other.id)));
+        }
+    });
+    partnerSelect.value = destination.partnerId !== null ? String(destination.partnerId) : '';
+    partnerSelect.addEventListener('change', () => {
+        setDestinationPartner(destination, partnerSelect.value ? parseInt(partnerSelect.value) : null);
+    });
     
-    renderDestinations();
-}
+    const optionalInput = details.querySelector('.optional-input');
+    const priorityField = details.querySelector('.priority-field');
+    const priorityInput = details.querySelector('.priority-input');
+    optionalInput.checked = destination.optional;
+    priorityField.style.display = destination.optional ? '' : 'none';
+    priorityInput.value = destination.priority;
+    optionalInput.addEventListener('change', () => {
+        destination.optional = optionalInput.checked;
+        priorityField.style.display = destination.optional ? '' : 'none';
+        refreshDetailsBadge();
+    });
+    priorityInput.addEventListener('change', () => {
+        const priority = parseFloat(priorityInput.value);
+        destination.priority = Number.isFinite(priority) && priority > 0 ? priority : 1;
+        priorityInput.value = destination.priority;
+    });
+    
+    // Vehicle pinning only matters once there's more than one vehicle
+    if (state.vehicles.length > 1) {
+        const field = document.createElement('label');
+        field.className = 'detail-field';
+        field.innerHTML = `
+            <span class="detail-label">Vehicle</span>
+            <select class="select-input vehicle-select"></select>
+            <span class="detail-hint"></span>
+        `;
+        field.querySelector('.detail-hint').textContent =
+            `Locked stops without a vehicle go with ${state.vehicles[0].name}`;
+        
+        const select = field.querySelector('.vehicle-select');
+        select.add(new Option('Any vehicle', ''));
+        state.vehicles.forEach(vehicle => select.add(new Option(vehicle.name, String(vehicle.id))));
+        select.value = destination.vehicleId !== null ? String(destination.vehicleId) : '';
+        select.addEventListener('change', () => {
+            destination.vehicleId = select.value ? parseInt(select.value) : null;
+            refreshDetailsBadge();
+        });
+        
+        details.appendChild(field);
+    }
+    
+    return details;
+}
+
+// Link two stops as a pickup/delivery pair, unlinking any previous partners
+function setDestinationPartner(destination, partnerId) {
+    state.destinations.forEach(d => {
+        if (d.partnerId === destination.id || d.partnerId === partnerId || d.id === partnerId) {
+            d.partnerId = null;
+        }
+    });
+    
+    destination.partnerId = partnerId;
+    const partner = state.destinations.find(d => d.id === partnerId);
+    if (partner) {
+        partner.partnerId = destination.id;
+    }
+    
+    // The partner's badge changes too
+    renderDestinations();
+}
+
+// ===================================
+// Bulk Import (CSV / TSV / Pasted Rows)
+// ===================================
+
+// Destination fields a column can be mapped to, and header words that suggest them
+const IMPORT_FIELDS = [
+    { key: 'address', label: 'Address', hints: ['address', 'street', 'location', 'addr'] },
+    { key: 'name', label: 'Name', hints: ['name', 'customer', 'company', 'client'] },
+    { key: 'notes', label: 'Notes', hints: ['note', 'comment', 'instruction'] },
+    { key: 'window', label: 'Time window', hints: ['window', 'slot', 'arrive', 'hours'] },
+    { key: 'dwell', label: 'Time at stop (min)', hints: ['dwell', 'service', 'duration', 'minutes', 'stop time'] },
+    { key: 'lock', label: 'Lock position', hints: ['lock', 'fixed', 'pinned'] }
+];
+
+// Parsed import text: { rows: string[][] } (header included)
+let importData = null;
+
+function toggleImportPanel() {
+    if (elements.importPanel.style.display === 'none') {
+        elements.importPanel.style.display = 'block';
+        elements.importTextInput.focus();
+    } else {
+        closeImportPanel();
+    }
+}
+
+function closeImportPanel() {
+    elements.importPanel.style.display = 'none';
+    elements.importFileInput.value = '';
+    elements.importTextInput.value = '';
+    importData = null;
+    renderImportMapping();
+}
+
+async function handleImportFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    elements.importTextInput.value = await file.text();
+    handleImportTextChange();
+}
+
+function handleImportTextChange() {
+    const rows = parseDelimitedText(elements.importTextInput.value);
+    importData = rows.length > 0 ? { rows } : null;
+    renderImportMapping();
+}
+
+/**
+ * Split CSV, TSV or semicolon-separated text into rows of cells. Quoted cells may
+ * contain delimiters, doubled quotes and line breaks. Blank lines are dropped.
+ * @param {string} text - File contents or pasted spreadsheet rows
+ * @returns {string[][]}
+ */
+function parseDelimitedText(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = char => firstLine.split(char).length - 1;
+    let delimiter = ',';
+    if (count('\t') > 0) {
+        delimiter = '\t';
+    } else if (count(';') > count(',')) {
+        delimiter = ';';
+    }
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+    
+    return rows.filter(r => r.some(c => c !== ''));
+}
+
+// Column selects for each destination field, guessed from the header row
+function renderImportMapping() {
+    elements.importMapping.innerHTML = '';
+    elements.importConfirmBtn.disabled = true;
+    if (!importData) return;
+    
+    const hasHeader = elements.importHasHeaderCheckbox.checked;
+    const header = importData.rows[0];
+    const rowCount = importData.rows.length - (hasHeader ? 1 : 0);
+    const columnNames = header.map((cell, i) => (hasHeader && cell ? cell : `Column ${i + 1}`));
+    
+    IMPORT_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'import-field';
+        label.innerHTML = `
+            <span class="detail-label"></span>
+            <select class="select-input" data-field="${field.key}"></select>
+        `;
+        label.querySelector('.detail-label').textContent = field.label;
+        
+        const select = label.querySelector('select');
+        select.add(new Option('—', ''));
+        columnNames.forEach((name, i) => select.add(new Option(name, String(i))));
+        
+        // Guess from the header, or put the address in the first column
+        const guess = hasHeader
+            ? header.findIndex(cell => field.hints.some(hint => cell.toLowerCase().includes(hint)))
+            : (field.key === 'address' ? 0 : -1);
+        select.value = guess !== -1 ? String(guess) : '';
+        select.addEventListener('change', updateImportConfirm);
+        
+        elements.importMapping.appendChild(label);
+    });
+    
+    const summary = document.createElement('p');
+    summary.className = 'import-hint';
+    summary.textContent = `${rowCount} ${rowCount === 1 ? 'row' : 'rows'} to import`;
+    elements.importMapping.appendChild(summary);
+    
+    updateImportConfirm();
+}
+
+function updateImportConfirm() {
+    const addressSelect = elements.importMapping.querySelector('[data-field="address"]');
+    elements.importConfirmBtn.disabled = !addressSelect || addressSelect.value === '';
+}
+
+// Turn the mapped rows into destinations and queue them for geocoding
+function importStops() {
+    if (!importData) return;
+    
+    const mapping = {};
+    elements.importMapping.querySelectorAll('select').forEach(select => {
+        mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value);
+    });
+    
+    const rows = importData.rows.slice(elements.importHasHeaderCheckbox.checked ? 1 : 0);
+    const cellOf = (row, field) => (mapping[field] !== null ? row[mapping[field]] || '' : '');
+    
+    const imported = rows.map(row => {
+        const destination = createDestination();
+        destination.address = cellOf(row, 'address');
+        destination.name = cellOf(row, 'name');
+        destination.notes = cellOf(row, 'notes');
+        
+        const window = parseTimeWindow(cellOf(row, 'window'));
+        destination.earliest = window.earliest;
+        destination.latest = window.latest;
+        
+        const dwell = parseFloat(cellOf(row, 'dwell'));
+        destination.dwellMinutes = Number.isFinite(dwell) && dwell >= 0 ? dwell : null;
+        destination.locked = /^(y|yes|true|1|x|locked?)$/i.test(cellOf(row, 'lock'));
+        
+        // Rows without an address still come in, flagged for fixing
+        destination.geocodeStatus = destination.address ? 'pending' : 'failed';
+        return destination;
+    });
+    
+    // Replace the blank starter row rather than leaving it at the top
+    state.destinations = state.destinations.filter(d => d.address.trim() !== '' || d.location);
+    state.destinations.push(...imported);
+    
+    closeImportPanel();
+    renderDestinations();
+    updateOptimizeButton();
+    
+    const pending = imported.filter(d => d.geocodeStatus === 'pending');
+    if (pending.length > 0) {
+        queueGeocode(pending);
+    }
+    showToast(`Imported ${imported.length} ${imported.length === 1 ? 'stop' : 'stops'}`, 'success');
+}
+
+// Read "09:00-11:00", "9:00 to 11:00" or a single "14:30" (arrive by) into HH:MM bounds
+function parseTimeWindow(text) {
+    const times = (text.match(/\d{1,2}[:.]\d{2}/g) || []).map(time => {
+        const [hours, minutes] = time.split(/[:.]/).map(Number);
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    });
+    
+    if (times.length >= 2) {
+        return { earliest: times[0], latest: times[1] };
+    }
+    if (times.length === 1) {
+        return /after|from/i.test(text)
+            ? { earliest: times[0], latest: null }
+            : { earliest: null, latest: times[0] };
+    }
+    return { earliest: null, latest: null };
+}
+
+// Destinations waiting to be geocoded, processed one per interval in the background
+const geocodeQueue = [];
+let geocodeQueueTotal = 0;
+let geocodeQueueFailed = 0;
+let geocodeQueueRetry = 0;
+let isGeocodeQueueRunning = false;
+
+// Failed lookups are retried after a delay that doubles each time, up to the cap.
+// Offline, they wait for the browser to come back online instead.
+const GEOCODE_RETRY_DELAY_MS = 60 * 1000;
+const GEOCODE_RETRY_MAX_DELAY_MS = 15 * 60 * 1000;
+let geocodeRetryDelay = GEOCODE_RETRY_DELAY_MS;
+let geocodeRetryTimeout = null;
+
+function queueGeocode(destinations) {
+    geocodeQueue.push(...destinations);
+    geocodeQueueTotal += destinations.length;
+    
+    if (!isGeocodeQueueRunning) {
+        processGeocodeQueue();
+    }
+}
+
+async function processGeocodeQueue() {
+    isGeocodeQueueRunning = true;
+    updateGeocodeProgress();
+    
+    while (geocodeQueue.length > 0) {
+        const destination = geocodeQueue.shift();
+        const address = destination.address;
+        
+        // Skip stops that were removed or already fixed by hand
+        if (!state.destinations.includes(destination) || destination.geocodeStatus !== 'pending') {
+            updateGeocodeProgress();
+            continue;
+        }
+        
+        let match = null;
+        let lookupFailed = false;
+        try {
+            match = await matchAddress(address);
+        } catch (error) {
+            console.warn(`Could not geocode ${address}:`, error);
+            // Offline or a geocoder error says nothing about the address itself
+            lookupFailed = error.name !== 'NotFoundError';
+        }
+        
+        // The address may have been edited while we waited
+        if (destination.address === address && destination.geocodeStatus === 'pending') {
+            if (match) {
+                // Doubtful matches are left for the review before optimizing
+                destination.location = match.issues.length === 0 ? match.location : null;
+                destination.geocodeStatus = null;
+            } else if (lookupFailed) {
+                destination.geocodeStatus = 'retry';
+                geocodeQueueRetry++;
+            } else {
+                destination.geocodeStatus = 'failed';
+                geocodeQueueFailed++;
+            }
+            refreshDestinationStatus(destination);
+        }
+        
+        updateGeocodeProgress();
+    }
+    
+    isGeocodeQueueRunning = false;
+    elements.importProgress.style.display = 'none';
+    scheduleAutosave();
+    
+    if (geocodeQueueRetry > 0) {
+        const addresses = `${geocodeQueueRetry} ${geocodeQueueRetry === 1 ? 'address' : 'addresses'}`;
+        if (isOnline()) {
+            geocodeRetryTimeout = setTimeout(retryGeocodes, geocodeRetryDelay);
+            showToast(`${addresses} could not be looked up - retrying in ${formatDuration(geocodeRetryDelay / 1000)}`, 'warning');
+            geocodeRetryDelay = Math.min(geocodeRetryDelay * 2, GEOCODE_RETRY_MAX_DELAY_MS);
+        } else {
+            showToast(`${addresses} could not be looked up - will retry when back online`, 'warning');
+        }
+    } else if (geocodeQueueFailed > 0) {
+        showToast(`${geocodeQueueFailed} ${geocodeQueueFailed === 1 ? 'address' : 'addresses'} not found - fix the highlighted stops`, 'warning');
+    } else {
+        showToast('All imported addresses found', 'success');
+    }
+    if (geocodeQueueRetry === 0) {
+        geocodeRetryDelay = GEOCODE_RETRY_DELAY_MS;
+    }
+    geocodeQueueTotal = 0;
+    geocodeQueueFailed = 0;
+    geocodeQueueRetry = 0;
+}
+
+// A location found outside the queue settles the stop, so the queue and retries leave it alone
+function setResolvedLocation(destination, location) {
+    destination.location = location;
+    destination.geocodeStatus = null;
+    refreshDestinationStatus(destination);
+}
+
+// Look up again the stops whose lookup failed (offline, rate limited, geocoder down)
+function retryGeocodes() {
+    clearTimeout(geocodeRetryTimeout);
+    geocodeRetryTimeout = null;
+    
+    const retry = state.destinations.filter(d => d.geocodeStatus === 'retry');
+    if (retry.length === 0) return;
+    
+    retry.forEach(destination => {
+        destination.geocodeStatus = 'pending';
+        refreshDestinationStatus(destination);
+    });
+    queueGeocode(retry);
+}
+
+function updateGeocodeProgress() {
+    const done = geocodeQueueTotal - geocodeQueue.length;
+    elements.importProgress.style.display = 'block';
+    elements.importProgressText.textContent = `Finding addresses... ${done} / ${geocodeQueueTotal}`;
+    elements.importProgressFill.style.width = `${geocodeQueueTotal ? (done / geocodeQueueTotal) * 100 : 0}%`;
+}
+
+// Update one destination's highlight without re-rendering the list (which would
+// steal focus from whatever the user is typing)
+function refreshDestinationStatus(destination) {
+    const item = elements.destinationsList.querySelector(`[data-destination-id="${destination.id}"]`);
+    if (item) {
+        showDestinationStatus(item, destination);
+    }
+}
+
+// ===================================
+// Drag and Drop
+// ===================================
+
+function initializeDragAndDrop() {
+    const items = elements.destinationsList.querySelectorAll('.destination-item');
+    
+    items.forEach(item => {
+        item.addEventListener('dragstart', handleDragStart);
+        item.addEventListener('dragend', handleDragEnd);
+        item.addEventListener('dragover', handleDragOver);
+        item.addEventListener('drop', handleDrop);
+        item.addEventListener('dragenter', handleDragEnter);
+        item.addEventListener('dragleave', handleDragLeave);
+    });
+}
+
+let draggedItem = null;
+
+function handleDragStart(e) {
+    draggedItem = this;
+    this.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', this.dataset.destinationId);
+}
+
+function handleDragEnd() {
+    this.classList.remove('dragging');
+    document.querySelectorAll('.destination-item').forEach(item => {
+        item.classList.remove('drag-over');
+    });
+    draggedItem = null;
+}
+
+function handleDragOver(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+}
+
+function handleDragEnter(e) {
+    e.preventDefault();
+    if (this !== draggedItem) {
+        this.classList.add('drag-over');
+    }
+}
+
+function handleDragLeave() {
+    this.classList.remove('drag-over');
+}
+
+function handleDrop(e) {
+    e.preventDefault();
+    this.classList.remove('drag-over');
+    
+    if (draggedItem === this) return;
+    
+    const draggedId = parseInt(draggedItem.dataset.destinationId);
+    const targetId = parseInt(this.dataset.destinationId);
+    
+    const draggedIndex = state.destinations.findIndex(d => d.id === draggedId);
+    const targetIndex = state.destinations.findIndex(d => d.id === targetId);
+    
+    // Swap positions
+    const [removed] = state.destinations.splice(draggedIndex, 1);
+    state.destinations.splice(targetIndex, 0, removed);
+    
+    renderDestinations();
+}
 
 // ===================================
 // Swipe to Delete (Mobile)
@@ -653,7 +1704,13 @@ function setupSwipeToDelete(element, onDelete) {
     let isDragging = false;
     
     element.addEventListener('touchstart', (e) => {
+        // Don't treat edits in the details panel as swipes
+        if (e.target.closest('.destination-details')) {
+            isDragging = false;
+            return;
+        }
         startX = e.touches[0].clientX;
+        currentX = startX;
         isDragging = true;
         element.classList.add('swiping');
     }, { passive: true });
@@ -671,6 +1728,7 @@ function setupSwipeToDelete(element, onDelete) {
     }, { passive: true });
     
     element.addEventListener('touchend', () => {
+        if (!isDragging) return;
         isDragging = false;
         element.classList.remove('swiping');
         
@@ -689,131 +1747,521 @@ function setupSwipeToDelete(element, onDelete) {
 }
 
 // ===================================
-// Return to Start
+// Return to Start / End Location
 // ===================================
 
 function handleReturnToStartChange(e) {
     state.returnToStart = e.target.checked;
+    
+    // Returning to the start and a fixed end location are alternatives
+    if (state.returnToStart && state.useEndLocation) {
+        elements.useEndLocationCheckbox.checked = false;
+        setUseEndLocation(false);
+    }
+    
+    // Vehicle end placeholders describe this option
+    renderVehicles();
 }
 
-// ===================================
-// Departure Time
-// ===================================
-
-function handleDepartureTimeToggle(e) {
-    const isEnabled = e.target.checked;
-    elements.departureTimeContainer.style.display = isEnabled ? 'block' : 'none';
+function handleEndLocationToggle(e) {
+    setUseEndLocation(e.target.checked);
     
-    if (isEnabled) {
-        state.departureTime = elements.departureTimeInput.value ? new Date(elements.departureTimeInput.value) : null;
-    } else {
-        state.departureTime = null;
+    if (state.useEndLocation && state.returnToStart) {
+        elements.returnToStartCheckbox.checked = false;
+        state.returnToStart = false;
     }
+    
+    renderVehicles();
 }
 
-function handleDepartureTimeChange(e) {
-    if (elements.useDepartureTimeCheckbox.checked && e.target.value) {
-        state.departureTime = new Date(e.target.value);
+function setUseEndLocation(isEnabled) {
+    state.useEndLocation = isEnabled;
+    elements.endLocationContainer.style.display = isEnabled ? 'block' : 'none';
+}
+
+// Where a route that starts at `start` finishes: back at the start, at the fixed
+// end location, or wherever the last stop is (null)
+function getTripEnd(start) {
+    if (state.useEndLocation) {
+        return state.endLocation;
     }
+    return state.returnToStart ? start : null;
 }
 
 // ===================================
-// Update Optimize Button
+// Dwell Time
 // ===================================
 
-function updateOptimizeButton() {
-    const hasStart = state.startLocation !== null;
-    const hasValidDestinations = state.destinations.some(d => d.address.trim() !== '');
+function handleDefaultDwellChange(e) {
+    const minutes = parseFloat(e.target.value);
+    state.defaultDwellMinutes = Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+    e.target.value = state.defaultDwellMinutes;
     
-    elements.optimizeBtn.disabled = !hasStart || !hasValidDestinations || state.isOptimizing;
+    // Refresh the "Default (n)" hints in open editors
+    renderDestinations();
+}
+
+// Time spent at a destination in seconds (its own override, or the default)
+function getDwellSeconds(destination) {
+    const minutes = destination.dwellMinutes ?? state.defaultDwellMinutes;
+    return minutes * 60;
 }
 
 // ===================================
-// Route Optimization
+// Trip Time Limit
 // ===================================
 
-async function optimizeRoute() {
-    if (state.isOptimizing) return;
+function handleMaxTripHoursChange(e) {
+    const hours = parseFloat(e.target.value);
+    state.maxTripHours = Number.isFinite(hours) && hours > 0 ? hours : null;
+    e.target.value = state.maxTripHours ?? '';
+}
+
+function handleFinishByChange(e) {
+    state.finishBy = e.target.value || null;
+}
+
+// Longest the trip may take, in seconds after departure (Infinity without a limit)
+function getTripLimitSeconds(departure) {
+    const limits = [];
+    if (state.maxTripHours) {
+        limits.push(state.maxTripHours * 3600);
+    }
+    if (state.finishBy) {
+        limits.push((timeOfDayToDate(state.finishBy, departure) - departure) / 1000);
+    }
+    return limits.length > 0 ? Math.min(...limits) : Infinity;
+}
+
+// Why a stop was left out because of the trip limit, e.g. "No time before 17:00"
+function describeTripLimit(departure) {
+    const limit = getTripLimitSeconds(departure);
+    if (state.finishBy && limit === (timeOfDayToDate(state.finishBy, departure) - departure) / 1000) {
+        return `No time before ${state.finishBy}`;
+    }
+    return `Doesn't fit in the ${state.maxTripHours}h trip limit`;
+}
+
+// ===================================
+// Vehicles
+// ===================================
+
+function createVehicle() {
+    const id = ++vehicleCounter;
+    return {
+        id: id,
+        name: `Vehicle ${state.vehicles.length + 1}`,
+        startAddress: '', // Empty uses the trip's start location
+        start: null,
+        endAddress: '', // Empty follows the "Return to start" option
+        end: null,
+        maxShiftHours: null,
+        truck: {} // Dimensions and hazmat flag for truck routing (see TRUCK_PROFILE_FIELDS)
+    };
+}
+
+function handleVehicleCountChange(e) {
+    const count = Math.min(MAX_VEHICLES, Math.max(1, parseInt(e.target.value) || 1));
+    e.target.value = count;
     
-    state.isOptimizing = true;
-    elements.optimizeBtn.querySelector('.btn-text').style.display = 'none';
-    elements.optimizeBtn.querySelector('.btn-loading').style.display = 'flex';
-    elements.optimizeBtn.disabled = true;
+    while (state.vehicles.length < count) {
+        state.vehicles.push(createVehicle());
+    }
+    state.vehicles.length = count;
     
-    try {
-        // Filter destinations with addresses
-        const validDestinations = state.destinations.filter(d => d.address.trim() !== '');
-        
-        if (validDestinations.length === 0) {
+    // Unpin stops from vehicles that no longer exist
+    const vehicleIds = new Set(state.vehicles.map(v => v.id));
+    state.destinations.forEach(d => {
+        if (d.vehicleId !== null && !vehicleIds.has(d.vehicleId)) {
+            d.vehicleId = null;
+        }
+    });
+    
+    renderVehicles();
+    renderDestinations();
+}
+
+function handleVehicleCapacityChange(e) {
+    const capacity = parseFloat(e.target.value);
+    state.vehicleCapacity = Number.isFinite(capacity) && capacity > 0 ? capacity : null;
+    e.target.value = state.vehicleCapacity ?? '';
+}
+
+function handleTravelModeChange(e) {
+    state.travelMode = e.target.value;
+    updateAvoidOptions();
+    renderVehicles();
+}
+
+function handleAvoidChange(e) {
+    state.avoid[e.target.closest('[data-avoid]').dataset.avoid] = e.target.checked;
+}
+
+// Only offer the preferences the travel mode can use, e.g. no toll roads on foot
+function updateAvoidOptions() {
+    const { avoids } = TRAVEL_MODES[state.travelMode];
+    elements.avoidCheckboxes.forEach(checkbox => {
+        const option = checkbox.closest('[data-avoid]');
+        option.style.display = avoids.includes(option.dataset.avoid) ? '' : 'none';
+        checkbox.checked = state.avoid[option.dataset.avoid];
+    });
+}
+
+function renderVehicles() {
+    elements.vehiclesList.innerHTML = '';
+    
+    // A single vehicle just uses the trip settings above, plus its truck profile
+    if (state.vehicles.length < 2) {
+        if (state.travelMode === 'truck') {
+            elements.vehiclesList.appendChild(createTruckProfileElement(state.vehicles[0]));
+        }
+        return;
+    }
+    
+    state.vehicles.forEach((vehicle, index) => {
+        elements.vehiclesList.appendChild(createVehicleElement(vehicle, index));
+    });
+}
+
+function createVehicleElement(vehicle, index) {
+    const item = document.createElement('div');
+    item.className = 'vehicle-item';
+    
+    item.innerHTML = `
+        <div class="vehicle-header">
+            <span class="vehicle-color"></span>
+            <input type="text" class="vehicle-name-input" autocomplete="off">
+        </div>
+        <div class="input-wrapper">
+            <input type="text" class="vehicle-input" data-field="start"
+                   placeholder="Start: same as trip start" autocomplete="off">
+            <div class="suggestions-dropdown"></div>
+        </div>
+        <div class="input-wrapper">
+            <input type="text" class="vehicle-input" data-field="end" autocomplete="off">
+            <div class="suggestions-dropdown"></div>
+        </div>
+        <label class="vehicle-shift">
+            <span class="detail-label">Max shift</span>
+            <input type="number" class="number-input shift-input" min="0" step="0.5" placeholder="None">
+            <span class="dwell-unit">hours</span>
+        </label>
+    `;
+    
+    item.querySelector('.vehicle-color').style.background = VEHICLE_COLORS[index % VEHICLE_COLORS.length];
+    
+    const nameInput = item.querySelector('.vehicle-name-input');
+    nameInput.value = vehicle.name;
+    nameInput.addEventListener('change', () => {
+        vehicle.name = nameInput.value.trim() || `Vehicle ${index + 1}`;
+        nameInput.value = vehicle.name;
+    });
+    
+    item.querySelectorAll('.vehicle-input').forEach(input => {
+        const field = input.dataset.field;
+        const addressField = `${field}Address`;
+        input.value = vehicle[addressField];
+        
+        if (field === 'end') {
+            input.placeholder = state.useEndLocation ? 'End: trip end location'
+                : state.returnToStart ? 'End: back at its start' : 'End: at the last stop';
+        }
+        
+        setupAutocomplete(input, input.nextElementSibling, (location) => {
+            vehicle[addressField] = location.address;
+            vehicle[field] = location;
+        });
+        
+        // Typed without picking a suggestion: geocode during optimization
+        input.addEventListener('blur', () => {
+            if (input.value !== vehicle[addressField]) {
+                vehicle[addressField] = input.value.trim();
+                vehicle[field] = null;
+            }
+        });
+    });
+    
+    const shiftInput = item.querySelector('.shift-input');
+    shiftInput.value = vehicle.maxShiftHours ?? '';
+    shiftInput.addEventListener('change', () => {
+        const hours = parseFloat(shiftInput.value);
+        vehicle.maxShiftHours = Number.isFinite(hours) && hours > 0 ? hours : null;
+        shiftInput.value = vehicle.maxShiftHours ?? '';
+    });
+    
+    if (state.travelMode === 'truck') {
+        item.appendChild(createTruckProfileElement(vehicle));
+    }
+    
+    return item;
+}
+
+// Truck size and weight checked against road restrictions, with Valhalla's
+// defaults for any left blank
+const TRUCK_PROFILE_FIELDS = [
+    { key: 'height', label: 'Height', unit: 'm', costingOption: 'height', defaultValue: 4.11 },
+    { key: 'width', label: 'Width', unit: 'm', costingOption: 'width', defaultValue: 2.6 },
+    { key: 'length', label: 'Length', unit: 'm', costingOption: 'length', defaultValue: 21.64 },
+    { key: 'weight', label: 'Weight', unit: 't', costingOption: 'weight', defaultValue: 21.77 },
+    { key: 'axleLoad', label: 'Axle load', unit: 't', costingOption: 'axle_load', defaultValue: 9.07 }
+];
+
+// Collapsible editor for a vehicle's truck profile
+function createTruckProfileElement(vehicle) {
+    vehicle.truck = vehicle.truck || {};
+    const truck = vehicle.truck;
+    
+    const details = document.createElement('details');
+    details.className = 'truck-profile';
+    details.innerHTML = `
+        <summary>
+            <span class="detail-label">🚚 Truck profile</span>
+            <span class="truck-profile-summary"></span>
+        </summary>
+        <div class="truck-profile-fields"></div>
+        <label class="checkbox-wrapper">
+            <input type="checkbox" class="truck-hazmat-input">
+            <span class="checkmark"></span>
+            <span class="label-text">Carrying hazardous materials</span>
+        </label>
+    `;
+    
+    const summary = details.querySelector('.truck-profile-summary');
+    summary.textContent = describeTruckProfile(truck);
+    
+    const fields = details.querySelector('.truck-profile-fields');
+    TRUCK_PROFILE_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'truck-profile-field';
+        label.innerHTML = `
+            <span class="detail-label"></span>
+            <input type="number" class="number-input" min="0" step="0.1">
+            <span class="dwell-unit"></span>
+        `;
+        label.querySelector('.detail-label').textContent = field.label;
+        label.querySelector('.dwell-unit').textContent = field.unit;
+        
+        const input = label.querySelector('input');
+        input.placeholder = field.defaultValue;
+        input.value = truck[field.key] ?? '';
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            truck[field.key] = Number.isFinite(value) && value > 0 ? value : null;
+            input.value = truck[field.key] ?? '';
+            summary.textContent = describeTruckProfile(truck);
+        });
+        fields.appendChild(label);
+    });
+    
+    const hazmatInput = details.querySelector('.truck-hazmat-input');
+    hazmatInput.checked = Boolean(truck.hazmat);
+    hazmatInput.addEventListener('change', () => {
+        truck.hazmat = hazmatInput.checked;
+        summary.textContent = describeTruckProfile(truck);
+    });
+    
+    return details;
+}
+
+// e.g. "3.5 m high, 7.5 t, hazmat"
+function describeTruckProfile(truck) {
+    const parts = [];
+    if (truck.height) parts.push(`${truck.height} m high`);
+    if (truck.width) parts.push(`${truck.width} m wide`);
+    if (truck.length) parts.push(`${truck.length} m long`);
+    if (truck.weight) parts.push(`${truck.weight} t`);
+    if (truck.axleLoad) parts.push(`${truck.axleLoad} t per axle`);
+    if (truck.hazmat) parts.push('hazmat');
+    return parts.length > 0 ? parts.join(', ') : 'Standard size';
+}
+
+// Valhalla truck costing options for the values that were filled in
+function getTruckCostingOptions(truck) {
+    const options = {};
+    if (!truck) {
+        return options;
+    }
+    TRUCK_PROFILE_FIELDS.forEach(field => {
+        if (truck[field.key]) {
+            options[field.costingOption] = truck[field.key];
+        }
+    });
+    if (truck.hazmat) {
+        options.hazmat = true;
+    }
+    return options;
+}
+
+// The largest value of every dimension, hazmat if any truck carries it
+function combineTruckProfiles(trucks) {
+    const combined = {};
+    trucks.filter(Boolean).forEach(truck => {
+        TRUCK_PROFILE_FIELDS.forEach(field => {
+            if (truck[field.key]) {
+                combined[field.key] = Math.max(combined[field.key] || 0, truck[field.key]);
+            }
+        });
+        combined.hazmat = combined.hazmat || Boolean(truck.hazmat);
+    });
+    return combined;
+}
+
+// ===================================
+// Departure Time
+// ===================================
+
+function handleDepartureTimeToggle(e) {
+    const isEnabled = e.target.checked;
+    elements.departureTimeContainer.style.display = isEnabled ? 'block' : 'none';
+    
+    if (isEnabled) {
+        state.departureTime = elements.departureTimeInput.value ? new Date(elements.departureTimeInput.value) : null;
+    } else {
+        state.departureTime = null;
+    }
+}
+
+function handleDepartureTimeChange(e) {
+    if (elements.useDepartureTimeCheckbox.checked && e.target.value) {
+        state.departureTime = new Date(e.target.value);
+    }
+}
+
+// ===================================
+// Update Optimize Button
+// ===================================
+
+function updateOptimizeButton() {
+    const hasStart = state.startLocation !== null;
+    const hasValidDestinations = state.destinations.some(d => d.address.trim() !== '');
+    
+    elements.optimizeBtn.disabled = !hasStart || !hasValidDestinations || state.isOptimizing;
+}
+
+// ===================================
+// Route Optimization
+// ===================================
+
+async function optimizeRoute() {
+    if (state.isOptimizing) return;
+    
+    state.isOptimizing = true;
+    resetResponseCacheStats();
+    elements.optimizeBtn.querySelector('.btn-text').style.display = 'none';
+    elements.optimizeBtn.querySelector('.btn-loading').style.display = 'flex';
+    elements.optimizeBtn.disabled = true;
+    
+    try {
+        // Filter destinations with addresses
+        const validDestinations = state.destinations.filter(d => d.address.trim() !== '');
+        
+        if (validDestinations.length === 0) {
             throw new Error('Please add at least one destination');
         }
         
         // Geocode destinations that don't have coordinates
         showToast('Finding nearest locations...', 'success');
         
+        const reviews = [];
         for (const dest of validDestinations) {
             if (!dest.location) {
-                // Use the improved search that finds nearest locations by driving time
-                const results = await searchLocationWithTimes(
-                    dest.address,
-                    state.startLocation.lat,
-                    state.startLocation.lng
-                );
-                
-                if (results.length > 0) {
-                    // Results are already sorted by driving time (nearest first)
-                    const nearest = results[0];
-                    dest.location = {
-                        address: nearest.display_name,
-                        lat: parseFloat(nearest.lat),
-                        lng: parseFloat(nearest.lon)
-                    };
+                const match = await matchAddress(dest.address);
+                if (match.issues.length === 0) {
+                    setResolvedLocation(dest, match.location);
                 } else {
-                    throw new Error(`Could not find location: ${dest.address}`);
+                    reviews.push({ destination: dest, ...match });
                 }
             }
         }
         
-        // Separate locked and unlocked destinations
-        const lockedDests = validDestinations.filter(d => d.locked);
-        const unlockedDests = validDestinations.filter(d => !d.locked);
+        // Let the user check doubtful matches before routing to them
+        if (reviews.length > 0 && !(await reviewGeocodes(reviews))) {
+            showToast('Optimization cancelled', 'warning');
+            return;
+        }
         
         // Calculate distance matrix for unlocked destinations
         showToast('Calculating optimal route...', 'success');
         
+        // Resolve a fixed end location typed without picking a suggestion
+        if (state.useEndLocation && !state.endLocation) {
+            if (!state.endAddress) {
+                throw new Error('Please enter an end location');
+            }
+            state.endLocation = await findNearestLocation(state.endAddress);
+        }
+        
+        // Schedule from the departure time (or now)
+        const departure = state.departureTime || new Date();
+        
+        if (state.vehicles.length > 1) {
+            await optimizeFleetRoutes(validDestinations, departure);
+            return;
+        }
+        
+        const start = state.startLocation;
+        const end = getTripEnd(start);
+        const { truck } = state.vehicles[0];
+        
+        // Optimize unlocked destinations, skipping optional ones that don't fit the time limit
+        const optimization = await findOptimalOrder(
+            start,
+            validDestinations,
+            {
+                end,
+                departure,
+                capacity: state.vehicleCapacity,
+                maxDuration: getTripLimitSeconds(departure),
+                truck
+            }
+        );
+        let optimizedOrder = optimization.order;
+        const visited = validDestinations.filter(d => !optimization.skipped.includes(d));
+        
         // Get all waypoints including locked ones
         const allWaypoints = [
-            state.startLocation,
-            ...validDestinations.map(d => d.location),
-            ...(state.returnToStart ? [state.startLocation] : [])
+            start,
+            ...visited.map(d => d.location),
+            ...(end ? [end] : [])
         ];
         
-        // Calculate original (unoptimized) route
-        const originalRoute = await calculateRoute(allWaypoints);
-        
-        // Optimize unlocked destinations
-        let optimizedOrder;
-        if (unlockedDests.length > 1) {
-            optimizedOrder = await findOptimalOrder(
-                state.startLocation,
-                validDestinations,
-                state.returnToStart
-            );
-        } else {
-            optimizedOrder = validDestinations;
-        }
+        // Calculate original (unoptimized) route over the same stops
+        const originalRoute = await calculateRoute(allWaypoints, { truck });
         
         // Calculate optimized route
         const optimizedWaypoints = [
-            state.startLocation,
+            start,
             ...optimizedOrder.map(d => d.location),
-            ...(state.returnToStart ? [state.startLocation] : [])
+            ...(end ? [end] : [])
         ];
         
-        const optimizedRoute = await calculateRoute(optimizedWaypoints);
+        let optimizedRoute = await calculateRoute(optimizedWaypoints, { truck });
+        
+        // The road engine can disagree slightly with the matrix; never show a
+        // "better" route that actually takes longer than the one the user typed,
+        // unless the typed order would miss more time windows
+        const schedule = optimization.schedule;
+        const typedIsOnTime = !schedule || (optimization.typedSchedule.feasible &&
+            optimization.typedSchedule.lateness <= schedule.lateness);
+        if (optimizedRoute.duration > originalRoute.duration && typedIsOnTime) {
+            optimizedOrder = visited;
+            optimizedRoute = originalRoute;
+        }
         
         // Display results
-        displayResults(optimizedOrder, optimizedRoute, originalRoute);
+        const skipReason = describeTripLimit(departure);
+        const plan = createRoutePlan({
+            name: null,
+            color: VEHICLE_COLORS[0],
+            start,
+            end,
+            order: optimizedOrder,
+            route: optimizedRoute,
+            departure,
+            maxDuration: getTripLimitSeconds(departure),
+            skipped: optimization.skipped.map(destination => ({ destination, reason: skipReason }))
+        });
+        displayResults([plan], originalRoute);
         
     } catch (error) {
         console.error('Optimization error:', error);
@@ -826,857 +2274,5754 @@ async function optimizeRoute() {
     }
 }
 
-// ===================================
-// Optimal Order Algorithm (TSP-like)
-// ===================================
-
-async function findOptimalOrder(start, destinations, returnToStart) {
-    const locked = destinations.filter(d => d.locked);
-    const unlocked = destinations.filter(d => !d.locked);
+// Geocode an address typed without picking a suggestion, preferring the result nearest the start
+async function findNearestLocation(address) {
+    // Use the improved search that finds nearest locations by driving time
+    const results = await searchLocationWithTimes(
+        address,
+        state.startLocation.lat,
+        state.startLocation.lng
+    );
     
-    if (unlocked.length <= 1) {
-        return destinations;
+    if (results.length === 0) {
+        throw new Error(`Could not find location: ${address}`);
     }
     
-    // Use nearest neighbor heuristic for unlocked destinations
-    // This is a simple but effective approach for small numbers of stops
-    
-    const result = [];
-    const unvisited = [...unlocked];
-    let current = start;
-    
-    // Build the route considering locked positions
-    for (let i = 0; i < destinations.length; i++) {
-        const originalDest = destinations[i];
-        
-        if (originalDest.locked) {
-            // Keep locked destinations in their position
-            result.push(originalDest);
-            current = originalDest.location;
-            // Remove from unvisited if it was there
-            const idx = unvisited.findIndex(d => d.id === originalDest.id);
-            if (idx !== -1) unvisited.splice(idx, 1);
-        } else if (unvisited.length > 0) {
-            // Find nearest unvisited destination
-            let nearestIdx = 0;
-            let nearestDist = Infinity;
-            
-            for (let j = 0; j < unvisited.length; j++) {
-                const dist = calculateDistance(
-                    current.lat, current.lng,
-                    unvisited[j].location.lat, unvisited[j].location.lng
-                );
-                if (dist < nearestDist) {
-                    nearestDist = dist;
-                    nearestIdx = j;
-                }
-            }
-            
-            const nearest = unvisited.splice(nearestIdx, 1)[0];
-            result.push(nearest);
-            current = nearest.location;
+    // Results are already sorted by driving time (nearest first)
+    const nearest = results[0];
+    return {
+        address: nearest.display_name,
+        lat: parseFloat(nearest.lat),
+        lng: parseFloat(nearest.lon)
+    };
+}
+
+// Split the stops between vehicles, route each one and show the results
+async function optimizeFleetRoutes(destinations, departure) {
+    // Resolve each vehicle's start and end, falling back to the trip settings
+    const vehicles = [];
+    for (const vehicle of state.vehicles) {
+        if (vehicle.startAddress && !vehicle.start) {
+            vehicle.start = await findNearestLocation(vehicle.startAddress);
         }
+        if (vehicle.endAddress && !vehicle.end) {
+            vehicle.end = await findNearestLocation(vehicle.endAddress);
+        }
+        
+        const start = vehicle.start || state.startLocation;
+        vehicles.push({
+            ...vehicle,
+            start,
+            end: vehicle.end || getTripEnd(start),
+            capacity: state.vehicleCapacity
+        });
     }
     
-    // Add any remaining unvisited destinations
-    while (unvisited.length > 0) {
-        let nearestIdx = 0;
-        let nearestDist = Infinity;
+    const tripLimit = getTripLimitSeconds(departure);
+    const fleetPlans = await planFleetRoutes(destinations, vehicles, { departure, maxDuration: tripLimit });
+    
+    // Calculate the road route for every vehicle that has stops
+    const plans = [];
+    for (let v = 0; v < vehicles.length; v++) {
+        const vehicle = vehicles[v];
+        const order = fleetPlans[v].order;
+        const route = order.length > 0
+            ? await calculateRoute([vehicle.start, ...order.map(d => d.location), ...(vehicle.end ? [vehicle.end] : [])], { truck: vehicle.truck })
+            : null;
         
-        for (let j = 0; j < unvisited.length; j++) {
-            const dist = calculateDistance(
-                current.lat, current.lng,
-                unvisited[j].location.lat, unvisited[j].location.lng
-            );
-            if (dist < nearestDist) {
-                nearestDist = dist;
-                nearestIdx = j;
-            }
-        }
+        // Whichever limit is tighter explains the skipped stops
+        const shiftLimit = vehicle.maxShiftHours ? vehicle.maxShiftHours * 3600 : Infinity;
+        const skipReason = shiftLimit < tripLimit
+            ? `Doesn't fit in ${vehicle.name}'s ${vehicle.maxShiftHours}h shift`
+            : describeTripLimit(departure);
         
-        const nearest = unvisited.splice(nearestIdx, 1)[0];
-        result.push(nearest);
-        current = nearest.location;
+        plans.push(createRoutePlan({
+            name: vehicle.name,
+            color: VEHICLE_COLORS[v % VEHICLE_COLORS.length],
+            start: vehicle.start,
+            end: vehicle.end,
+            order,
+            route,
+            departure,
+            maxDuration: Math.min(shiftLimit, tripLimit),
+            skipped: fleetPlans[v].skipped.map(destination => ({ destination, reason: skipReason }))
+        }));
     }
     
-    return result;
-}
-
-// Calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+    displayResults(plans);
 }
 
-function toRad(deg) {
-    return deg * Math.PI / 180;
+/**
+ * Bundle one vehicle's optimized route with its timeline.
+ * @param {object} options
+ * @param {?string} options.name - Vehicle name (null for a single-vehicle trip)
+ * @param {string} options.color - Route color on the map
+ * @param {object} options.start - Start location
+ * @param {?object} options.end - End location, or null to finish at the last stop
+ * @param {Array<object>} options.order - Destinations in visiting order
+ * @param {?object} options.route - Result of calculateRoute (null when there are no stops)
+ * @param {Date} options.departure - Departure time
+ * @param {number} options.maxDuration - Time limit in seconds for overtime warnings (Infinity for none)
+ * @param {Array<{destination: object, reason: string}>} options.skipped - Optional stops left out
+ */
+function createRoutePlan(options) {
+    const { route, order, departure, maxDuration } = options;
+    const timeline = route ? buildRouteTimeline(order, route, departure) : null;
+    const totalSeconds = timeline ? (timeline.finish - departure) / 1000 : 0;
+    
+    return {
+        name: options.name,
+        color: options.color,
+        start: options.start,
+        end: options.end,
+        order,
+        route,
+        timeline,
+        overtime: Math.max(0, totalSeconds - maxDuration),
+        skipped: options.skipped,
+        departure,
+        maxDuration
+    };
 }
 
 // ===================================
-// Route Calculation (OSRM with Fallbacks)
+// Geocode Review
 // ===================================
 
-// List of OSRM routing servers to try (primary and fallbacks)
-// These are well-established public OSRM instances
-const ROUTING_SERVERS = [
-    'https://router.project-osrm.org',
-    'https://routing.openstreetmap.de/routed-car'
-];
+// Below this Nominatim importance a match counts as low confidence
+const GEOCODE_LOW_IMPORTANCE = 0.2;
 
-// Valhalla routing server (more reliable alternative with different API format)
-const VALHALLA_SERVER = 'https://valhalla1.openstreetmap.de/route';
+// Matches farther than this from the start (straight line) are flagged
+const GEOCODE_FAR_KM = 80;
 
-// Valhalla error code mappings for user-friendly messages
-const VALHALLA_ERROR_MESSAGES = {
-    171: 'No route exists between these locations.',
-    154: 'Path distance exceeds the maximum allowed.',
-    106: 'Invalid location coordinates.'
-};
+// Result types that cover an area rather than a street address
+const VAGUE_PLACE_TYPES = ['administrative', 'city', 'town', 'village', 'county', 'state', 'region', 'country', 'postcode', 'suburb'];
 
-// Fallback speed assumptions for route estimation when routing services are unavailable
-const FALLBACK_AVERAGE_SPEED_KMH = 45; // Average urban/suburban driving speed in km/h
+/**
+ * Geocode a typed address and say whether the best match looks doubtful.
+ * Corrections the user made in earlier reviews are used as-is.
+ * @param {string} address - Address as typed
+ * @returns {Promise<{location: object, candidates: Array<object>, issues: string[]}>}
+ *   The best match, all candidates (best first) and reasons to review it
+ */
+async function matchAddress(address) {
+    const remembered = await getGeocodeCorrection(address);
+    if (remembered) {
+        return { location: remembered, candidates: [remembered], issues: [] };
+    }
+    
+    const start = state.startLocation;
+    const results = await searchLocationWithTimes(address, start && start.lat, start && start.lng);
+    
+    const candidates = results.map(result => {
+        const lat = parseFloat(result.lat);
+        const lng = parseFloat(result.lon);
+        return {
+            address: result.display_name,
+            lat,
+            lng,
+            importance: result.importance ?? null,
+            type: result.type || null,
+            distanceKm: start ? calculateDistance(start.lat, start.lng, lat, lng) : null,
+            drivingTime: result.drivingTime ?? null
+        };
+    });
+    
+    return { location: candidates[0], candidates, issues: assessGeocode(candidates[0]) };
+}
 
-// Check if the browser is online
-function isOnline() {
-    return navigator.onLine !== false;
+// Reasons a match may be wrong: low importance, an area instead of an address, or far from the start
+function assessGeocode(candidate) {
+    const issues = [];
+    if (candidate.importance !== null && candidate.importance < GEOCODE_LOW_IMPORTANCE) {
+        issues.push('Low-confidence match');
+    }
+    if (VAGUE_PLACE_TYPES.includes(candidate.type)) {
+        issues.push(`Matched a whole ${candidate.type}, not an address`);
+    }
+    if (candidate.distanceKm !== null && candidate.distanceKm > GEOCODE_FAR_KM) {
+        issues.push(`${formatDistance(candidate.distanceKm * 1000)} from the start`);
+    }
+    return issues;
 }
 
-// Test network connectivity by making a lightweight request
-async function testNetworkConnectivity() {
+// Corrections are keyed by the typed address, ignoring case and spacing
+function normalizeAddress(address) {
+    return address.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+async function getGeocodeCorrection(address) {
     try {
-        // Use a lightweight request to test connectivity
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-        
-        const response = await fetch('https://nominatim.openstreetmap.org/status.php', {
-            method: 'HEAD',
-            signal: controller.signal,
-            cache: 'no-store'
-        });
-        
-        clearTimeout(timeoutId);
-        return response.ok;
+        const entry = await dbRequest(CORRECTIONS_STORE, 'readonly', store => store.get(normalizeAddress(address)));
+        return entry ? entry.location : null;
     } catch (error) {
-        console.warn('Network connectivity test failed:', error.message);
-        return false;
+        console.warn('Could not read geocode corrections:', error);
+        return null;
     }
 }
 
-// Validate waypoints before making routing request
-function validateWaypoints(waypoints) {
-    if (!waypoints || waypoints.length < 2) {
-        return { valid: false, error: 'At least two locations are required for routing.' };
+async function rememberGeocodeCorrection(address, location) {
+    try {
+        await dbRequest(CORRECTIONS_STORE, 'readwrite', store => store.put({ location }, normalizeAddress(address)));
+    } catch (error) {
+        console.warn('Could not save geocode correction:', error);
     }
-    
-    for (let i = 0; i < waypoints.length; i++) {
-        const wp = waypoints[i];
-        if (!wp || typeof wp.lat !== 'number' || typeof wp.lng !== 'number') {
-            return { valid: false, error: `Invalid coordinates for waypoint ${i + 1}. Please re-enter the address.` };
-        }
-        if (wp.lat < -90 || wp.lat > 90 || wp.lng < -180 || wp.lng > 180) {
-            return { valid: false, error: `Coordinates out of range for waypoint ${i + 1}. Please re-enter the address.` };
-        }
-        if (isNaN(wp.lat) || isNaN(wp.lng)) {
-            return { valid: false, error: `Invalid coordinates for waypoint ${i + 1}. Please re-enter the address.` };
-        }
-    }
-    
-    return { valid: true };
 }
 
-// Try to calculate route using a specific server
-async function tryRouteServer(serverUrl, coords, timeoutMs = 30000) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-    
-    try {
-        const url = `${serverUrl}/route/v1/driving/${coords}?overview=full&geometries=geojson`;
-        console.log(`Trying routing server: ${serverUrl}`);
+// Mini map in the review dialog
+let reviewMap = null;
+let reviewMarkersLayer = null;
+
+/**
+ * Step through doubtful matches, letting the user pick the right candidate on a
+ * list or the mini map. Chosen locations are applied to the destinations and
+ * remembered for next time.
+ * @param {Array<{destination: object, candidates: Array<object>, issues: string[]}>} reviews
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+function reviewGeocodes(reviews) {
+    return new Promise(resolve => {
+        let index = 0;
+        let selected = 0;
         
-        const response = await fetch(url, {
-            signal: controller.signal,
-            headers: {
-                'Accept': 'application/json'
-            }
-        });
+        const finish = confirmed => {
+            elements.geocodeReview.style.display = 'none';
+            elements.reviewConfirmBtn.onclick = null;
+            elements.reviewCancelBtn.onclick = null;
+            resolve(confirmed);
+        };
         
-        clearTimeout(timeoutId);
+        const select = candidateIndex => {
+            selected = candidateIndex;
+            elements.reviewCandidates.querySelectorAll('input').forEach((radio, i) => {
+                radio.checked = i === candidateIndex;
+            });
+            showReviewMap(reviews[index].candidates, selected, select);
+        };
         
-        if (!response.ok) {
-            const errorInfo = {
-                status: response.status,
-                statusText: response.statusText,
-                server: serverUrl
-            };
+        const show = () => {
+            const review = reviews[index];
+            elements.reviewProgress.textContent = `${index + 1} of ${reviews.length}`;
+            elements.reviewQuery.textContent = review.destination.address;
+            elements.reviewIssues.textContent = `⚠️ ${review.issues.join(' · ')}`;
+            elements.reviewConfirmBtn.textContent = index < reviews.length - 1 ? 'Next' : 'Use these & optimize';
             
-            if (response.status === 429) {
-                return { success: false, retryable: true, error: 'Rate limited', errorInfo };
-            }
-            if (response.status >= 500) {
-                return { success: false, retryable: true, error: 'Server error', errorInfo };
-            }
-            if (response.status === 400) {
-                return { success: false, retryable: false, error: 'Invalid request', errorInfo };
-            }
+            elements.reviewCandidates.innerHTML = '';
+            review.candidates.forEach((candidate, i) => {
+                const label = document.createElement('label');
+                label.className = 'review-candidate';
+                label.innerHTML = `
+                    <input type="radio" name="reviewCandidate">
+                    <span class="review-candidate-number">${i + 1}</span>
+                    <span class="review-candidate-text">
+                        <span class="review-candidate-name"></span>
+                        <span class="stop-meta"></span>
+                    </span>
+                `;
+                label.querySelector('.review-candidate-name').textContent = candidate.address;
+                
+                const meta = [];
+                if (candidate.type) meta.push(candidate.type);
+                if (candidate.distanceKm !== null) meta.push(`${formatDistance(candidate.distanceKm * 1000)} away`);
+                if (candidate.drivingTime !== null) meta.push(`🚗 ${formatDuration(candidate.drivingTime)}`);
+                label.querySelector('.stop-meta').textContent = meta.join(' · ');
+                
+                label.querySelector('input').addEventListener('change', () => select(i));
+                elements.reviewCandidates.appendChild(label);
+            });
             
-            return { success: false, retryable: true, error: `HTTP ${response.status}`, errorInfo };
-        }
-        
-        const data = await response.json();
+            elements.geocodeReview.style.display = 'flex';
+            select(0);
+        };
         
-        // Handle OSRM-specific error codes
-        if (data.code === 'NoRoute') {
-            return { 
-                success: false, 
-                retryable: false, 
-                error: 'No driving route exists between these locations. They may be on different landmasses or not accessible by road.'
-            };
-        }
+        elements.reviewConfirmBtn.onclick = () => {
+            const review = reviews[index];
+            const { address, lat, lng } = review.candidates[selected];
+            setResolvedLocation(review.destination, { address, lat, lng });
+            rememberGeocodeCorrection(review.destination.address, review.destination.location);
+            
+            index++;
+            if (index < reviews.length) {
+                show();
+            } else {
+                finish(true);
+            }
+        };
+        elements.reviewCancelBtn.onclick = () => finish(false);
         
-        if (data.code === 'NoSegment') {
-            return { 
-                success: false, 
-                retryable: false, 
-                error: 'One or more locations are too far from a road. Please choose locations closer to roads.'
-            };
+        show();
+    });
+}
+
+// Plot the start and the candidates on the review mini map; clicking a marker selects it
+function showReviewMap(candidates, selected, onSelect) {
+    if (typeof L === 'undefined') {
+        return;
+    }
+    
+    if (!reviewMap) {
+        reviewMap = L.map('reviewMap');
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors'
+        }).addTo(reviewMap);
+        reviewMarkersLayer = L.layerGroup().addTo(reviewMap);
+    }
+    
+    // The map was hidden until now; let Leaflet measure it
+    reviewMap.invalidateSize();
+    reviewMarkersLayer.clearLayers();
+    const bounds = L.latLngBounds();
+    
+    if (state.startLocation) {
+        const start = L.circleMarker([state.startLocation.lat, state.startLocation.lng], {
+            radius: 10,
+            fillColor: '#4A90D9',
+            color: '#fff',
+            weight: 2,
+            fillOpacity: 1
+        });
+        start.bindTooltip('Start', { permanent: true, direction: 'center', className: 'marker-label' });
+        reviewMarkersLayer.addLayer(start);
+        bounds.extend([state.startLocation.lat, state.startLocation.lng]);
+    }
+    
+    candidates.forEach((candidate, i) => {
+        const marker = L.circleMarker([candidate.lat, candidate.lng], {
+            radius: i === selected ? 14 : 10,
+            fillColor: i === selected ? '#27AE60' : '#95A5A6',
+            color: '#fff',
+            weight: 2,
+            fillOpacity: 1
+        });
+        marker.bindTooltip(String(i + 1), { permanent: true, direction: 'center', className: 'marker-label' });
+        marker.on('click', () => onSelect(i));
+        reviewMarkersLayer.addLayer(marker);
+        bounds.extend([candidate.lat, candidate.lng]);
+    });
+    
+    reviewMap.fitBounds(bounds, { padding: [24, 24], maxZoom: 15 });
+}
+
+// ===================================
+// Optimal Order Algorithm (TSP-like)
+// ===================================
+
+// Up to this many unlocked stops the order is solved exactly; above it we use local search
+const EXACT_SOLVER_MAX_STOPS = 12;
+
+// Time budget and iteration cap for the local search on larger trips
+const LOCAL_SEARCH_TIME_LIMIT_MS = 2000;
+const LOCAL_SEARCH_MAX_ITERATIONS = 500;
+
+// Weight of one second of lateness relative to one second of driving. Large enough
+// that the optimizer only trades punctuality for travel time when no order is on time.
+const LATENESS_WEIGHT = 100;
+
+/**
+ * Find the best visiting order for the destinations.
+ * @param {{lat: number, lng: number}} start - Start location
+ * @param {Array<object>} destinations - Destinations in the order the user entered them
+ * @param {{end: ?object, departure: Date, capacity: ?number, maxDuration: number, truck: ?object, carriedLoad: ?number}} options - Where
+ *   the route finishes (the start object itself, another location, or null for the last stop),
+ *   departure time, vehicle capacity, the trip time limit in seconds (Infinity for none),
+ *   the vehicle's truck profile and any load already on board that no stop unloads
+ * @returns {Promise<{order: Array<object>, skipped: Array<object>, schedule: ?object, typedSchedule: ?object}>}
+ *   The chosen order, optional stops left out to meet the time limit, and the
+ *   matrix-based schedules of the chosen order and of the kept stops in typed
+ *   order (null when no matrix was needed)
+ */
+async function findOptimalOrder(start, destinations, options) {
+    const { end, departure, capacity, maxDuration, truck = null, carriedLoad = 0 } = options;
+    const unlocked = destinations.filter(d => !d.locked);
+    const windows = destinations.map(d => getTimeWindowOffsets(d, departure));
+    const dwell = destinations.map(d => getDwellSeconds(d));
+    const hasWindows = windows.some(w => w !== null);
+    const hasLoads = destinations.some(d => d.load !== 0 || d.partnerId !== null);
+    
+    // Nothing to reorder and no windows, loads or time limit to check
+    if (unlocked.length <= 1 && !hasWindows && !hasLoads && maxDuration === Infinity) {
+        return { order: destinations, skipped: [], schedule: null, typedSchedule: null };
+    }
+    
+    // Rank stops by road-network travel time rather than straight-line distance.
+    // Node 0 of the matrix is the start, node i + 1 is destinations[i], and a
+    // separate end location comes last.
+    const hasSeparateEnd = end !== null && end !== start;
+    const matrix = await buildTravelMatrix([
+        start,
+        ...destinations.map(d => d.location),
+        ...(hasSeparateEnd ? [end] : [])
+    ], truck);
+    
+    if (matrix.estimatedCells > 0) {
+        showToast(`Road times unavailable for ${matrix.estimatedCells} pairs - using estimates`, 'warning');
+    }
+    
+    const problem = createRouteProblem(destinations, matrix, {
+        endNode: end === null ? null : (hasSeparateEnd ? destinations.length + 1 : 0),
+        windows,
+        dwell,
+        maxDuration,
+        carriedLoad,
+        ...getLoadOptions(destinations, capacity)
+    });
+    const fullOrder = await solveRouteOrder(problem);
+    const values = destinations.map(d => (d.optional ? d.priority : null));
+    const { order: bestOrder, skipped } = await dropOptionalStops(problem, fullOrder, values);
+    
+    // Schedules cover the stops that are kept
+    const keptProblem = restrictProblem(problem, [...bestOrder].sort((a, b) => a - b));
+    const typedOrder = keptProblem.stops;
+    
+    const toSchedule = order => {
+        const evaluation = evaluateRouteOrder(keptProblem, order);
+        return {
+            ...evaluation,
+            departure,
+            stops: evaluation.stops.map(entry => ({
+                ...entry,
+                destination: destinations[entry.stop]
+            }))
+        };
+    };
+    
+    const schedule = toSchedule(bestOrder);
+    if (!schedule.feasible) {
+        throw new Error(LOAD_INFEASIBLE_MESSAGE);
+    }
+    
+    return {
+        order: bestOrder.map(i => destinations[i]),
+        skipped: skipped.map(i => destinations[i]),
+        schedule,
+        typedSchedule: toSchedule(typedOrder)
+    };
+}
+
+// ===================================
+// Fleet Planning (Multiple Vehicles)
+// ===================================
+
+// Route colors for each vehicle on the map and in the results
+const VEHICLE_COLORS = ['#4A90D9', '#E74C3C', '#27AE60', '#9B59B6', '#F39C12', '#16A085', '#D35400', '#34495E'];
+const MAX_VEHICLES = 8;
+
+// Cap on improvement passes when moving stops between vehicles
+const FLEET_IMPROVEMENT_MAX_PASSES = 20;
+
+/**
+ * Split the destinations between vehicles and order each vehicle's stops.
+ * Stops pinned to a vehicle (and locked stops, which default to the first
+ * vehicle) stay with it; the rest are assigned by cheapest insertion and then
+ * moved between vehicles while that lowers the fleet cost. Pickup/delivery
+ * pairs always ride on the same vehicle.
+ * @param {Array<object>} destinations - Destinations in list order, with locations
+ * @param {Array<{start: object, end: ?object, maxShiftHours: ?number, capacity: ?number, truck: ?object}>} vehicles - Resolved
+ *   start and end locations (end null = finish at the last stop)
+ * @param {{departure: Date, maxDuration: number}} options - Departure time and the trip
+ *   time limit in seconds (Infinity for none); each vehicle also keeps to its shift
+ * @returns {Promise<Array<{order: Array<object>, skipped: Array<object>, schedule: object}>>}
+ *   One entry per vehicle, with the optional stops it had to leave out
+ */
+async function planFleetRoutes(destinations, vehicles, options) {
+    const { departure, maxDuration } = options;
+    
+    // Matrix nodes: destinations first, then each distinct vehicle start/end point
+    const points = destinations.map(d => d.location);
+    const nodeFor = location => {
+        let node = points.findIndex(p => p.lat === location.lat && p.lng === location.lng);
+        if (node === -1) {
+            points.push(location);
+            node = points.length - 1;
         }
+        return node;
+    };
+    const vehicleNodes = vehicles.map(vehicle => ({
+        start: nodeFor(vehicle.start),
+        end: vehicle.end ? nodeFor(vehicle.end) : null
+    }));
+    
+    // One matrix serves every vehicle, so it respects the most restrictive truck
+    const matrix = await buildTravelMatrix(points, combineTruckProfiles(vehicles.map(vehicle => vehicle.truck)));
+    if (matrix.estimatedCells > 0) {
+        showToast(`Road times unavailable for ${matrix.estimatedCells} pairs - using estimates`, 'warning');
+    }
+    
+    const windows = destinations.map(d => getTimeWindowOffsets(d, departure));
+    const dwell = destinations.map(d => getDwellSeconds(d));
+    const problems = vehicles.map((vehicle, v) => createRouteProblem(destinations, matrix, {
+        startNode: vehicleNodes[v].start,
+        endNode: vehicleNodes[v].end,
+        stopNodes: destinations.map((_, i) => i),
+        stops: [],
+        windows,
+        dwell,
+        maxDuration: Math.min(vehicle.maxShiftHours ? vehicle.maxShiftHours * 3600 : Infinity, maxDuration),
+        ...getLoadOptions(destinations, vehicle.capacity)
+    }));
+    
+    const pinOf = d => {
+        const pinned = vehicles.findIndex(vehicle => vehicle.id === d.vehicleId);
+        if (pinned !== -1) return pinned;
+        return d.locked ? 0 : null;
+    };
+    
+    // A paired stop is assigned together with its partner
+    const groups = [];
+    const pins = [];
+    destinations.forEach((d, i) => {
+        const partner = destinations.findIndex(other => other.id === d.partnerId);
+        if (partner !== -1 && partner < i) return;
         
-        if (data.code === 'InvalidInput' || data.code === 'InvalidQuery') {
-            return { 
-                success: false, 
-                retryable: false, 
-                error: 'Invalid location coordinates. Please re-enter the addresses.'
-            };
+        const group = partner !== -1 ? [i, partner] : [i];
+        const groupPins = [...new Set(group.map(stop => pinOf(destinations[stop])).filter(v => v !== null))];
+        if (groupPins.length > 1) {
+            throw new Error(`${truncateAddress(d.address)} and its paired stop are assigned to different vehicles`);
         }
         
-        if (data.code === 'TooBig') {
-            return { 
-                success: false, 
-                retryable: false, 
-                error: 'Route is too long. Please reduce the number of destinations or choose closer locations.'
-            };
+        groups.push(group);
+        pins.push(groupPins.length > 0 ? groupPins[0] : null);
+    });
+    const assignment = assignStopsToVehicles(problems, groups, pins);
+    
+    // Order each vehicle's stops, sharing the local search budget between them
+    const timeLimitMs = LOCAL_SEARCH_TIME_LIMIT_MS / vehicles.length;
+    const values = destinations.map(d => (d.optional ? d.priority : null));
+    const plans = [];
+    for (let v = 0; v < vehicles.length; v++) {
+        const stops = [...assignment[v]].sort((a, b) => a - b);
+        const fullOrder = await solveRouteOrder(restrictProblem(problems[v], stops), timeLimitMs);
+        const { order, skipped } = await dropOptionalStops(restrictProblem(problems[v], stops), fullOrder, values, timeLimitMs);
+        const problem = restrictProblem(problems[v], [...order].sort((a, b) => a - b));
+        const schedule = evaluateRouteOrder(problem, order);
+        if (!schedule.feasible) {
+            throw new Error(`${vehicles[v].name}: ${LOAD_INFEASIBLE_MESSAGE}`);
         }
-        
-        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-            return { 
-                success: false, 
-                retryable: true, 
-                error: `Unexpected response from routing service: ${data.code || 'No routes returned'}`
-            };
+        plans.push({
+            order: order.map(i => destinations[i]),
+            skipped: skipped.map(i => destinations[i]),
+            schedule
+        });
+    }
+    
+    return plans;
+}
+
+/**
+ * Decide which vehicle visits each stop.
+ * The fleet cost is the sum of route costs plus the longest route cost; counting
+ * the longest route twice spreads work across drivers instead of piling every
+ * stop onto whichever vehicle is closest.
+ * @param {Array<object>} problems - One route problem per vehicle over all destinations
+ * @param {number[][]} groups - Destination indices that must share a vehicle (single stops or pairs)
+ * @param {Array<?number>} pins - Vehicle index each group must use, or null
+ * @returns {number[][]} Destination indices per vehicle (in insertion order)
+ */
+function assignStopsToVehicles(problems, groups, pins) {
+    const routes = problems.map(() => []);
+    pins.forEach((v, g) => {
+        if (v !== null) routes[v].push(...groups[g]);
+    });
+    
+    const costs = routes.map((route, v) => routeOrderCost(problems[v], route));
+    const fleetCost = routeCosts => routeCosts.reduce((sum, c) => sum + c, 0) + Math.max(...routeCosts);
+    const withCosts = changes => costs.map((c, v) => (v in changes ? changes[v] : c));
+    
+    // Cheapest positions for a group in a vehicle's route, inserting one stop at a time
+    const bestInsertion = (v, group) => {
+        let best = { route: routes[v], cost: costs[v] };
+        for (const stop of group) {
+            const base = best.route;
+            best = null;
+            for (let position = 0; position <= base.length; position++) {
+                const route = [...base.slice(0, position), stop, ...base.slice(position)];
+                const cost = routeOrderCost(problems[v], route);
+                if (!best || cost < best.cost) {
+                    best = { route, cost };
+                }
+            }
         }
-        
-        // Success!
-        return {
-            success: true,
-            data: {
-                duration: data.routes[0].duration,
-                distance: data.routes[0].distance,
-                geometry: data.routes[0].geometry
+        return best;
+    };
+    
+    // Insert the hardest groups first: those farthest from every vehicle's start
+    const distanceFromFleet = g => Math.max(...groups[g].map(stop => Math.min(...problems.map(problem =>
+        problem.durations[problem.startNode][problem.stopNodes[stop]]
+    ))));
+    const pending = pins
+        .map((v, g) => (v === null ? g : null))
+        .filter(g => g !== null)
+        .sort((a, b) => distanceFromFleet(b) - distanceFromFleet(a));
+    
+    for (const g of pending) {
+        let best = null;
+        for (let v = 0; v < problems.length; v++) {
+            const insertion = bestInsertion(v, groups[g]);
+            const total = fleetCost(withCosts({ [v]: insertion.cost }));
+            if (!best || total < best.total) {
+                best = { v, ...insertion, total };
             }
-        };
-        
-    } catch (error) {
-        clearTimeout(timeoutId);
-        
-        if (error.name === 'AbortError') {
-            return { 
-                success: false, 
-                retryable: true, 
-                error: 'Request timed out',
-                errorInfo: { server: serverUrl, timeout: timeoutMs }
-            };
         }
+        routes[best.v] = best.route;
+        costs[best.v] = best.cost;
+    }
+    
+    // Move single groups to another vehicle while that lowers the fleet cost
+    for (let pass = 0; pass < FLEET_IMPROVEMENT_MAX_PASSES; pass++) {
+        let improved = false;
         
-        if (error.name === 'TypeError') {
-            // Network error (CORS, DNS, connection refused, etc.)
-            return { 
-                success: false, 
-                retryable: true, 
-                error: 'Network error',
-                errorInfo: { server: serverUrl, message: error.message }
-            };
+        for (const g of pending) {
+            const group = groups[g];
+            const from = routes.findIndex(route => route.includes(group[0]));
+            const remaining = routes[from].filter(stop => !group.includes(stop));
+            const remainingCost = routeOrderCost(problems[from], remaining);
+            const currentTotal = fleetCost(costs);
+            
+            for (let to = 0; to < problems.length; to++) {
+                if (to === from) continue;
+                
+                const insertion = bestInsertion(to, group);
+                const total = fleetCost(withCosts({ [from]: remainingCost, [to]: insertion.cost }));
+                
+                if (total < currentTotal - 1e-6) {
+                    routes[from] = remaining;
+                    routes[to] = insertion.route;
+                    costs[from] = remainingCost;
+                    costs[to] = insertion.cost;
+                    improved = true;
+                    break;
+                }
+            }
         }
         
-        return { 
-            success: false, 
-            retryable: true, 
-            error: error.message || 'Unknown error',
-            errorInfo: { server: serverUrl }
-        };
+        if (!improved) break;
     }
+    
+    return routes;
 }
 
+// ===================================
+// Optional Stops
+// ===================================
+
 /**
- * Try to calculate route using Valhalla API (different format than OSRM)
- * Valhalla uses POST requests with JSON body instead of URL parameters
- * @param {Array<{lat: number, lng: number}>} waypoints - Array of waypoints with lat/lng coordinates
- * @param {number} timeoutMs - Request timeout in milliseconds (default: 30000)
- * @returns {Promise<{success: boolean, data?: {duration: number, distance: number, geometry: object}, error?: string, retryable?: boolean, errorInfo?: object}>}
+ * Drop optional stops until the route fits the problem's time limit (maxDuration),
+ * keeping the most valuable ones. Stops are dropped by lowest value per second
+ * saved, the rest are re-ordered, then skipped stops are put back, most valuable
+ * first, wherever they still fit. Pickup/delivery pairs go together.
+ * @param {object} problem - Problem over the route's stops, with maxDuration set
+ * @param {number[]} order - Solved order of all the problem's stops
+ * @param {Array<?number>} values - Value of each optional destination; null for required ones
+ * @param {number} timeLimitMs - Local search budget for re-ordering the kept stops
+ * @returns {Promise<{order: number[], skipped: number[]}>} Kept stops in visiting order
+ *   and the destination indices left out
  */
-async function tryValhallaServer(waypoints, timeoutMs = 30000) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+async function dropOptionalStops(problem, order, values, timeLimitMs = LOCAL_SEARCH_TIME_LIMIT_MS) {
+    const forOrder = o => restrictProblem(problem, [...o].sort((a, b) => a - b));
+    const evaluate = o => evaluateRouteOrder(forOrder(o), o);
+    const fits = o => evaluate(o).overtime === 0;
     
-    try {
-        // Build Valhalla request body (uses 'lon' not 'lng')
-        const locations = waypoints.map(wp => ({
-            lat: wp.lat,
-            lon: wp.lng
-        }));
+    if (fits(order)) {
+        return { order, skipped: [] };
+    }
+    
+    // A stop and its pickup/delivery partner are kept or dropped together
+    const groupOf = stop => {
+        const pickup = problem.requires[stop];
+        const delivery = problem.requires.indexOf(stop);
+        if (pickup !== null) return [pickup, stop];
+        return delivery !== -1 ? [stop, delivery] : [stop];
+    };
+    const isOptional = group => group.every(stop => values[stop] !== null);
+    const groupValue = group => group.reduce((sum, stop) => sum + values[stop], 0);
+    
+    let current = order;
+    const skippedGroups = [];
+    while (!fits(current)) {
+        const duration = evaluate(current).duration;
+        let cheapest = null;
         
-        const requestBody = {
-            locations: locations,
-            costing: 'auto',
-            directions_options: {
-                units: 'kilometers'
+        for (const stop of current) {
+            const group = groupOf(stop);
+            if (group[0] !== stop || !isOptional(group)) continue;
+            
+            const candidate = current.filter(s => !group.includes(s));
+            const saving = duration - evaluate(candidate).duration;
+            const ratio = groupValue(group) / Math.max(saving, 1);
+            if (!cheapest || ratio < cheapest.ratio) {
+                cheapest = { group, candidate, ratio };
             }
-        };
-        
-        console.log('Trying Valhalla routing server:', VALHALLA_SERVER);
+        }
         
-        const response = await fetch(VALHALLA_SERVER, {
-            method: 'POST',
-            signal: controller.signal,
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
-        });
+        // Only required stops left
+        if (!cheapest) break;
         
-        clearTimeout(timeoutId);
+        current = cheapest.candidate;
+        skippedGroups.push(cheapest.group);
+    }
+    
+    // Re-order what's left, which may free up time for some skipped stops
+    const keptProblem = forOrder(current);
+    const reordered = await solveRouteOrder(keptProblem, timeLimitMs);
+    if (routeOrderCost(keptProblem, reordered) <= routeOrderCost(keptProblem, current)) {
+        current = reordered;
+    }
+    
+    // Put skipped stops back, most valuable first, wherever they still fit
+    const respectsLocks = o => forOrder(o).slots.every((fixed, position) => fixed === null || o[position] === fixed);
+    skippedGroups.sort((a, b) => groupValue(b) - groupValue(a));
+    const skipped = [];
+    for (const group of skippedGroups) {
+        let best = null;
+        for (let first = 0; first <= current.length; first++) {
+            for (let second = first; second <= current.length; second++) {
+                const candidate = [...current];
+                candidate.splice(first, 0, group[0]);
+                if (group.length > 1) candidate.splice(second + 1, 0, group[1]);
+                
+                if (!respectsLocks(candidate) || !fits(candidate)) continue;
+                // Infinite cost: over capacity or a delivery before its pickup
+                const cost = routeOrderCost(forOrder(candidate), candidate);
+                if (cost === Infinity) continue;
+                if (!best || cost < best.cost) {
+                    best = { candidate, cost };
+                }
+                if (group.length === 1) break;
+            }
+        }
         
-        if (!response.ok) {
-            const errorInfo = {
-                status: response.status,
-                statusText: response.statusText,
-                server: VALHALLA_SERVER
-            };
-            
-            if (response.status === 429) {
-                return { success: false, retryable: true, error: 'Rate limited', errorInfo };
-            }
-            if (response.status >= 500) {
-                return { success: false, retryable: true, error: 'Server error', errorInfo };
+        if (best) {
+            current = best.candidate;
+        } else {
+            skipped.push(...group);
+        }
+    }
+    
+    return { order: current, skipped: skipped.sort((a, b) => a - b) };
+}
+
+// ===================================
+// Loads (Capacity / Pickup and Delivery)
+// ===================================
+
+const LOAD_INFEASIBLE_MESSAGE = 'No stop order fits the vehicle capacity with every pickup before its delivery';
+
+/**
+ * Find the stop that has to be visited before this one.
+ * Of a linked pair, the stop with the larger load is the pickup (ties go to the
+ * stop listed first); only the delivery has a stop that must come first.
+ * @param {object} destination - Destination to check
+ * @param {Array<object>} destinations - Destinations the partner is looked up in
+ * @returns {?object} The paired pickup, or null
+ */
+function findPickupFor(destination, destinations) {
+    if (destination.partnerId === null) {
+        return null;
+    }
+    
+    const partner = destinations.find(d => d.id === destination.partnerId);
+    if (!partner) {
+        return null;
+    }
+    
+    const isDelivery = destination.load < partner.load ||
+        (destination.load === partner.load && destinations.indexOf(partner) < destinations.indexOf(destination));
+    return isDelivery ? partner : null;
+}
+
+// Load-related createRouteProblem options for a list of destinations
+function getLoadOptions(destinations, capacity) {
+    return {
+        loads: destinations.map(d => d.load),
+        pickups: destinations.map(d => {
+            const pickup = findPickupFor(d, destinations);
+            return pickup ? destinations.indexOf(pickup) : null;
+        }),
+        capacity: capacity ?? Infinity
+    };
+}
+
+/**
+ * Load on board along a route. Deliveries without their pickup on the route are
+ * loaded at the start; pickups without a delivery stay on board to the end.
+ * @param {Array<object>} order - Destinations in visiting order
+ * @returns {{start: number, stops: number[]}} Load when leaving the start and after each stop
+ */
+function getLoadProfile(order) {
+    let load = order.reduce((sum, d) =>
+        (d.load < 0 && !findPickupFor(d, order) ? sum - d.load : sum), 0);
+    
+    const start = load;
+    const stops = order.map(d => {
+        load += d.load;
+        return load;
+    });
+    return { start, stops };
+}
+
+// ===================================
+// Time Windows
+// ===================================
+
+// Turn an "HH:MM" value into a Date on the same day as the reference date, or
+// that many days later
+function timeOfDayToDate(value, reference, days = 0) {
+    const [hours, minutes] = value.split(':').map(Number);
+    const date = new Date(reference);
+    date.setDate(date.getDate() + days);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+/**
+ * Convert a destination's arrival window into seconds after departure. A window
+ * whose end is before its start (22:00-02:00) ends the next day, and the window
+ * is taken on the day nearest the departure: leaving at 22:00, a 01:00-03:00
+ * window is the one after midnight.
+ * @param {{earliest: ?string, latest: ?string}} destination - Window bounds as "HH:MM"
+ * @param {Date} departure - Trip departure time
+ * @returns {?{earliest: number, latest: number}} Offsets in seconds, or null without a window
+ */
+function getTimeWindowOffsets(destination, departure) {
+    if (!destination.earliest && !destination.latest) {
+        return null;
+    }
+    
+    const toOffset = (value, days) => (timeOfDayToDate(value, departure, days) - departure) / 1000;
+    const crossesMidnight = Boolean(destination.earliest && destination.latest) &&
+        destination.latest < destination.earliest;
+    const windowOn = days => ({
+        earliest: destination.earliest ? toOffset(destination.earliest, days) : -Infinity,
+        latest: destination.latest ? toOffset(destination.latest, crossesMidnight ? days + 1 : days) : Infinity
+    });
+    
+    // How far the window is from the departure; a one-sided window counts from its bound
+    const distance = ({ earliest, latest }) => {
+        if (!Number.isFinite(earliest)) return Math.abs(latest);
+        if (!Number.isFinite(latest)) return Math.abs(earliest);
+        return earliest <= 0 && latest >= 0 ? 0 : Math.min(Math.abs(earliest), Math.abs(latest));
+    };
+    
+    // Leaving after midnight may still be inside last night's window
+    const lastNight = crossesMidnight ? windowOn(-1) : null;
+    if (lastNight && lastNight.latest >= 0) {
+        return lastNight;
+    }
+    const today = windowOn(0);
+    const tomorrow = windowOn(1);
+    return distance(tomorrow) < distance(today) ? tomorrow : today;
+}
+
+// Human-readable window, e.g. "09:00–11:00", "after 09:00" or "by 11:00"
+function formatTimeWindow(destination) {
+    if (destination.earliest && destination.latest) {
+        return `${destination.earliest}–${destination.latest}`;
+    }
+    return destination.earliest ? `after ${destination.earliest}` : `by ${destination.latest}`;
+}
+
+function formatClockTime(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// ===================================
+// Route Search (Exact DP / Local Search)
+// ===================================
+
+// Cap on schedule labels kept per DP state, so tight windows can't blow up memory
+const EXACT_SOLVER_MAX_LABELS = 16;
+
+/**
+ * Describe an ordering problem over a list of destinations.
+ * Orders are arrays of destination indices. By default matrix node 0 is the start
+ * and destination i is node i + 1; callers with a shared matrix (e.g. several
+ * vehicles) pass their own node mapping. Locked destinations keep their position
+ * among the problem's stops.
+ * @param {Array<object>} destinations - Destinations in the order the user entered them
+ * @param {{durations: number[][]}} matrix - Travel matrix
+ * @param {object} options
+ * @param {boolean} [options.returnToStart] - End back at the start (when endNode isn't given)
+ * @param {?number} [options.endNode] - Matrix node the route must end at; null ends at the last stop
+ * @param {number} [options.startNode] - Matrix node of the start (default 0)
+ * @param {number[]} [options.stopNodes] - Matrix node of each destination (default i + 1)
+ * @param {number[]} [options.stops] - Destination indices in this route (default all)
+ * @param {Array<?{earliest: number, latest: number}>} [options.windows] - Arrival windows in seconds after departure
+ * @param {number[]} [options.dwell] - Service time at each destination in seconds
+ * @param {number} [options.maxDuration] - Route length in seconds above which time counts as overtime
+ * @param {number[]} [options.loads] - Load picked up (positive) or delivered (negative) at each destination
+ * @param {Array<?number>} [options.pickups] - Destination that must be visited before each one, or null
+ * @param {number} [options.capacity] - Most the vehicle can carry at once
+ * @param {number} [options.carriedLoad] - Load already on board that no stop on the route unloads
+ */
+function createRouteProblem(destinations, matrix, options) {
+    const startNode = options.startNode ?? 0;
+    const endNode = options.endNode !== undefined
+        ? options.endNode
+        : (options.returnToStart ? startNode : null);
+    
+    const problem = {
+        durations: matrix.durations,
+        startNode,
+        endNode,
+        stopNodes: options.stopNodes || destinations.map((_, i) => i + 1),
+        windows: options.windows || destinations.map(() => null),
+        dwell: options.dwell || destinations.map(() => 0),
+        maxDuration: options.maxDuration ?? Infinity,
+        loads: options.loads || destinations.map(() => 0),
+        pickups: options.pickups || destinations.map(() => null),
+        capacity: options.capacity ?? Infinity,
+        carriedLoad: options.carriedLoad ?? 0,
+        locked: destinations.map(d => d.locked)
+    };
+    
+    return restrictProblem(problem, options.stops || destinations.map((_, i) => i));
+}
+
+// Narrow a problem down to a subset of its destinations (kept in list order)
+function restrictProblem(problem, stops) {
+    const inRoute = new Set(stops);
+    
+    // A pickup only constrains the order when it's on this route; otherwise its
+    // delivery's goods are on board from the start
+    const requires = problem.pickups.map(pickup => (pickup !== null && inRoute.has(pickup) ? pickup : null));
+    const initialLoad = stops.reduce((sum, i) =>
+        (problem.loads[i] < 0 && requires[i] === null ? sum - problem.loads[i] : sum), problem.carriedLoad);
+    
+    return {
+        ...problem,
+        stops,
+        requires,
+        initialLoad,
+        size: stops.length,
+        // slots[k] is the destination index fixed at position k, or null if the position is free
+        slots: stops.map(i => (problem.locked[i] ? i : null)),
+        freeStops: stops.filter(i => !problem.locked[i])
+    };
+}
+
+/*
+ * Schedules are built from labels: { stop, node, time, late, load, invalid, prev },
+ * where time is the number of seconds since departure when the vehicle is ready
+ * to leave `node` (after any waiting and dwell time), late is the total lateness
+ * so far and load is what's on board. A label is invalid once the vehicle has
+ * gone over capacity or made a delivery before its pickup. A label that is both
+ * earlier and less late than another is never worse afterwards, which keeps the
+ * DP exact.
+ */
+
+function startLabel(problem) {
+    return {
+        stop: -1,
+        node: problem.startNode,
+        time: 0,
+        late: 0,
+        load: problem.initialLoad,
+        invalid: problem.initialLoad > problem.capacity,
+        prev: null
+    };
+}
+
+// Whether a stop appears in the label's chain
+function hasVisited(label, stop) {
+    for (let current = label; current; current = current.prev) {
+        if (current.stop === stop) return true;
+    }
+    return false;
+}
+
+// Drive from the label's node to a destination, waiting if we arrive before its
+// window opens, then spend the stop's dwell time there
+function extendLabel(problem, label, stop) {
+    const node = problem.stopNodes[stop];
+    const arrival = label.time + problem.durations[label.node][node];
+    const window = problem.windows[stop];
+    const dwell = problem.dwell[stop];
+    const load = label.load + problem.loads[stop];
+    const pickup = problem.requires[stop];
+    const invalid = label.invalid || load > problem.capacity ||
+        (pickup !== null && !hasVisited(label, pickup));
+    
+    if (!window) {
+        return { stop, node, time: arrival + dwell, late: label.late, load, invalid, prev: label };
+    }
+    
+    return {
+        stop,
+        node,
+        time: Math.max(arrival, window.earliest) + dwell,
+        late: label.late + Math.max(0, arrival - window.latest),
+        load,
+        invalid,
+        prev: label
+    };
+}
+
+// Finish the route at its end point (if any); time past maxDuration counts as lateness
+function completeLabel(problem, label) {
+    const time = problem.endNode === null
+        ? label.time
+        : label.time + problem.durations[label.node][problem.endNode];
+    
+    return {
+        stop: -1,
+        node: problem.endNode ?? label.node,
+        time,
+        late: label.late + Math.max(0, time - problem.maxDuration),
+        load: label.load,
+        invalid: label.invalid,
+        prev: label
+    };
+}
+
+function labelCost(label) {
+    return label.invalid ? Infinity : label.time + LATENESS_WEIGHT * label.late;
+}
+
+// Objective of an order: total elapsed time plus weighted lateness and overtime
+// (Infinity when it breaks the capacity or pickup-before-delivery rules)
+function routeOrderCost(problem, order) {
+    let label = startLabel(problem);
+    for (const stop of order) {
+        label = extendLabel(problem, label, stop);
+    }
+    return labelCost(completeLabel(problem, label));
+}
+
+/**
+ * Simulate an order and report when each stop is reached.
+ * @returns {{duration: number, lateness: number, overtime: number, lateStops: number, totalWait: number, feasible: boolean, stops: Array<{stop: number, arrival: number, wait: number, late: number, load: number}>}}
+ *   Times in seconds after departure
+ */
+function evaluateRouteOrder(problem, order) {
+    const stops = [];
+    let label = startLabel(problem);
+    
+    for (const stop of order) {
+        const arrival = label.time + problem.durations[label.node][problem.stopNodes[stop]];
+        const next = extendLabel(problem, label, stop);
+        stops.push({
+            stop,
+            arrival,
+            wait: next.time - arrival - problem.dwell[stop],
+            late: next.late - label.late,
+            load: next.load
+        });
+        label = next;
+    }
+    
+    const finished = completeLabel(problem, label);
+    return {
+        duration: finished.time,
+        lateness: label.late,
+        overtime: finished.late - label.late,
+        lateStops: stops.filter(entry => entry.late > 0).length,
+        totalWait: stops.reduce((sum, entry) => sum + entry.wait, 0),
+        feasible: !finished.invalid,
+        stops
+    };
+}
+
+// Add a label to a state's Pareto set; returns the updated set
+function insertLabel(labels, label) {
+    if (labels.some(other => other.time <= label.time && other.late <= label.late)) {
+        return labels;
+    }
+    
+    const kept = labels.filter(other => !(label.time <= other.time && label.late <= other.late));
+    kept.push(label);
+    
+    if (kept.length > EXACT_SOLVER_MAX_LABELS) {
+        kept.sort((a, b) => labelCost(a) - labelCost(b));
+        kept.length = EXACT_SOLVER_MAX_LABELS;
+    }
+    return kept;
+}
+
+/**
+ * Order a problem's stops: exactly when few enough stops are free, otherwise with
+ * local search. Never returns an order worse than the stops' list order.
+ * @param {object} problem - Problem from createRouteProblem
+ * @param {number} timeLimitMs - Local search time budget
+ * @returns {Promise<number[]>} Destination indices in visiting order
+ */
+async function solveRouteOrder(problem, timeLimitMs = LOCAL_SEARCH_TIME_LIMIT_MS) {
+    const typedOrder = [...problem.stops];
+    
+    let bestOrder;
+    if (problem.freeStops.length <= 1) {
+        bestOrder = typedOrder;
+    } else if (problem.freeStops.length <= EXACT_SOLVER_MAX_STOPS) {
+        bestOrder = solveExactOrder(problem) || typedOrder;
+    } else {
+        bestOrder = await solveLocalSearchOrder(problem, [
+            nearestNeighborOrder(problem),
+            typedOrder
+        ], timeLimitMs);
+    }
+    
+    // Never hand back an order that's worse than the one the user typed
+    if (routeOrderCost(problem, bestOrder) > routeOrderCost(problem, typedOrder)) {
+        bestOrder = typedOrder;
+    }
+    
+    return bestOrder;
+}
+
+// Greedy construction: always drive to the closest remaining stop that keeps the
+// route valid (if any does), keeping locked ones in place
+function nearestNeighborOrder(problem) {
+    const order = [];
+    const unvisited = [...problem.freeStops];
+    let label = startLabel(problem);
+    
+    for (const fixed of problem.slots) {
+        if (fixed !== null) {
+            order.push(fixed);
+            label = extendLabel(problem, label, fixed);
+            continue;
+        }
+        
+        let nearestIdx = 0;
+        let nearestTime = Infinity;
+        let nearestValid = false;
+        for (let j = 0; j < unvisited.length; j++) {
+            const time = problem.durations[label.node][problem.stopNodes[unvisited[j]]];
+            const valid = !extendLabel(problem, label, unvisited[j]).invalid;
+            if ((valid && !nearestValid) || (valid === nearestValid && time < nearestTime)) {
+                nearestTime = time;
+                nearestIdx = j;
+                nearestValid = valid;
             }
-            
-            return { success: false, retryable: true, error: `HTTP ${response.status}`, errorInfo };
         }
         
-        const data = await response.json();
+        const nearest = unvisited.splice(nearestIdx, 1)[0];
+        order.push(nearest);
+        label = extendLabel(problem, label, nearest);
+    }
+    
+    return order;
+}
+
+/**
+ * Solve the order exactly with Held-Karp dynamic programming.
+ * Positions are filled one at a time; a state is the set of free stops used so far
+ * (bitmask) plus the last stop visited, holding the Pareto set of schedule labels
+ * that reach it. Locked positions force their stop, and invalid labels (over
+ * capacity, delivery before pickup) are dropped.
+ * @returns {?number[]} Optimal order of destination indices, or null if no order is valid
+ */
+function solveExactOrder(problem) {
+    const { slots, freeStops } = problem;
+    
+    // Each layer maps mask -> Map (by last stop) of label sets
+    let layer = new Map([[0, new Map([[-1, [startLabel(problem)]]])]]);
+    
+    for (const fixed of slots) {
+        const next = new Map();
         
-        // Handle Valhalla-specific error codes using the module-level constant
-        if (data.error_code) {
-            return {
-                success: false,
-                retryable: false,
-                error: VALHALLA_ERROR_MESSAGES[data.error_code] || data.error || 'Valhalla routing error'
-            };
-        }
+        const extend = (nextMask, label, stop) => {
+            const extended = extendLabel(problem, label, stop);
+            if (extended.invalid) return;
+            if (!next.has(nextMask)) next.set(nextMask, new Map());
+            const entry = next.get(nextMask);
+            entry.set(stop, insertLabel(entry.get(stop) || [], extended));
+        };
         
-        if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
-            return {
-                success: false,
-                retryable: true,
-                error: 'No route data returned from Valhalla'
-            };
+        for (const [mask, entry] of layer) {
+            for (const labels of entry.values()) {
+                for (const label of labels) {
+                    if (fixed !== null) {
+                        extend(mask, label, fixed);
+                        continue;
+                    }
+                    for (let bit = 0; bit < freeStops.length; bit++) {
+                        if (!(mask & (1 << bit))) {
+                            extend(mask | (1 << bit), label, freeStops[bit]);
+                        }
+                    }
+                }
+            }
         }
         
-        // Extract route data from Valhalla response
-        // Valhalla returns duration in seconds and distance in the units requested
-        const trip = data.trip;
-        const totalDuration = trip.summary.time; // seconds
-        const totalDistance = trip.summary.length * 1000; // convert km to meters
+        layer = next;
+    }
+    
+    // Pick the cheapest complete schedule, adding the trip home if needed
+    const fullMask = (1 << freeStops.length) - 1;
+    if (!layer.has(fullMask)) {
+        return null;
+    }
+    
+    let best = null;
+    let bestCost = Infinity;
+    for (const labels of layer.get(fullMask).values()) {
+        for (const label of labels) {
+            const cost = labelCost(completeLabel(problem, label));
+            if (cost < bestCost) {
+                bestCost = cost;
+                best = label;
+            }
+        }
+    }
+    
+    if (!best) {
+        return null;
+    }
+    
+    // Walk the label chain back to the start
+    const order = [];
+    for (let label = best; label.prev; label = label.prev) {
+        order.unshift(label.stop);
+    }
+    return order;
+}
+
+// Small seeded PRNG so repeated optimizations of the same trip give the same answer
+function createRandom(seed) {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Place a permutation of the free stops into the free positions around the locked ones
+function composeOrder(problem, freeOrder) {
+    let next = 0;
+    return problem.slots.map(fixed => (fixed !== null ? fixed : freeOrder[next++]));
+}
+
+/**
+ * Improve a permutation of free stops with 2-opt, Or-opt and relocate moves until
+ * no move helps (first improvement) or the deadline passes.
+ * @param {object} problem - Problem from createRouteProblem
+ * @param {number[]} freeOrder - Permutation of the free stops
+ * @param {number} cost - routeOrderCost of that permutation
+ * @param {number} deadline - Date.now() value to stop at
+ * @returns {{freeOrder: number[], cost: number}}
+ */
+function improveFreeOrder(problem, freeOrder, cost, deadline = Infinity) {
+    if (hasLegCosts(problem)) {
+        return improveFreeOrderByLegs(problem, freeOrder, cost, deadline);
+    }
+    
+    const evaluate = candidate => routeOrderCost(problem, composeOrder(problem, candidate));
+    const m = freeOrder.length;
+    let improved = true;
+    
+    while (improved && Date.now() < deadline) {
+        improved = false;
         
-        // Decode Valhalla's encoded polyline to GeoJSON
-        const coordinates = [];
-        for (const leg of trip.legs) {
-            if (leg.shape) {
-                const decoded = decodeValhallaPolyline(leg.shape);
-                coordinates.push(...decoded);
+        // 2-opt: reverse the segment i..j
+        for (let i = 0; i < m - 1 && !improved && Date.now() < deadline; i++) {
+            for (let j = i + 1; j < m && !improved; j++) {
+                const candidate = [
+                    ...freeOrder.slice(0, i),
+                    ...freeOrder.slice(i, j + 1).reverse(),
+                    ...freeOrder.slice(j + 1)
+                ];
+                const candidateCost = evaluate(candidate);
+                if (candidateCost < cost - 1e-6) {
+                    freeOrder = candidate;
+                    cost = candidateCost;
+                    improved = true;
+                }
             }
         }
         
-        // Success!
-        return {
-            success: true,
-            data: {
-                duration: totalDuration,
-                distance: totalDistance,
-                geometry: {
-                    type: 'LineString',
-                    coordinates: coordinates
+        // Relocate (segment length 1) and Or-opt (segments of 2-3 stops, either direction)
+        for (let length = 1; length <= 3 && !improved; length++) {
+            for (let i = 0; i + length <= m && !improved && Date.now() < deadline; i++) {
+                const segment = freeOrder.slice(i, i + length);
+                const rest = [...freeOrder.slice(0, i), ...freeOrder.slice(i + length)];
+                
+                for (let j = 0; j <= rest.length && !improved; j++) {
+                    if (j === i) continue;
+                    const variants = length > 1 ? [segment, [...segment].reverse()] : [segment];
+                    
+                    for (const variant of variants) {
+                        const candidate = [...rest.slice(0, j), ...variant, ...rest.slice(j)];
+                        const candidateCost = evaluate(candidate);
+                        if (candidateCost < cost - 1e-6) {
+                            freeOrder = candidate;
+                            cost = candidateCost;
+                            improved = true;
+                            break;
+                        }
+                    }
                 }
             }
-        };
+        }
+    }
+    
+    return { freeOrder, cost };
+}
+
+// Whether a move can be costed from the legs it changes: without arrival windows,
+// loads or locked stops the cost only grows with the total drive time
+function hasLegCosts(problem) {
+    return problem.slots.every(fixed => fixed === null) &&
+        problem.stops.every(stop => problem.windows[stop] === null &&
+            problem.loads[stop] === 0 && problem.requires[stop] === null);
+}
+
+/**
+ * improveFreeOrder for problems where only drive time matters (see hasLegCosts).
+ * Each move is costed from the legs it adds and removes, and the full route is
+ * only re-evaluated when a move is taken.
+ */
+function improveFreeOrderByLegs(problem, freeOrder, cost, deadline) {
+    const { durations, startNode, endNode } = problem;
+    // Drive time between two nodes; nothing after the last stop when the route ends there
+    const leg = (from, to) => (to === null ? 0 : durations[from][to]);
+    const m = freeOrder.length;
+    let nodes = freeOrder.map(stop => problem.stopNodes[stop]);
+    const before = k => (k === 0 ? startNode : nodes[k - 1]);
+    const after = k => (k === m - 1 ? endNode : nodes[k + 1]);
+    
+    const apply = candidate => {
+        freeOrder = candidate;
+        nodes = freeOrder.map(stop => problem.stopNodes[stop]);
+        cost = routeOrderCost(problem, freeOrder);
+    };
+    
+    let improved = true;
+    while (improved && Date.now() < deadline) {
+        improved = false;
         
-    } catch (error) {
-        clearTimeout(timeoutId);
+        // 2-opt: reverse the segment i..j. The legs inside it are summed both ways
+        // as j grows, since drive times differ by direction.
+        for (let i = 0; i < m - 1 && !improved && Date.now() < deadline; i++) {
+            let forward = 0;
+            let backward = 0;
+            for (let j = i + 1; j < m; j++) {
+                forward += durations[nodes[j - 1]][nodes[j]];
+                backward += durations[nodes[j]][nodes[j - 1]];
+                const delta = leg(before(i), nodes[j]) + leg(nodes[i], after(j)) + backward -
+                    leg(before(i), nodes[i]) - leg(nodes[j], after(j)) - forward;
+                if (delta < -1e-6) {
+                    apply([
+                        ...freeOrder.slice(0, i),
+                        ...freeOrder.slice(i, j + 1).reverse(),
+                        ...freeOrder.slice(j + 1)
+                    ]);
+                    improved = true;
+                    break;
+                }
+            }
+        }
         
-        if (error.name === 'AbortError') {
-            return { 
-                success: false, 
-                retryable: true, 
-                error: 'Request timed out',
-                errorInfo: { server: VALHALLA_SERVER, timeout: timeoutMs }
-            };
+        // Relocate (segment length 1) and Or-opt (segments of 2-3 stops, either direction)
+        for (let length = 1; length <= 3 && !improved; length++) {
+            for (let i = 0; i + length <= m && !improved && Date.now() < deadline; i++) {
+                const last = i + length - 1;
+                const segment = nodes.slice(i, last + 1);
+                const inner = variant => variant.reduce((sum, node, k) => (k === 0 ? 0 : sum + durations[variant[k - 1]][node]), 0);
+                const removed = leg(before(i), segment[0]) + leg(segment[length - 1], after(last)) -
+                    leg(before(i), after(last)) + inner(segment);
+                // Nodes around insertion point j of the route without the segment
+                const restNode = k => (k < i ? nodes[k] : nodes[k + length]);
+                const restLength = m - length;
+                const variants = length > 1 ? [segment, [...segment].reverse()] : [segment];
+                
+                for (let j = 0; j <= restLength && !improved; j++) {
+                    if (j === i) continue;
+                    const from = j === 0 ? startNode : restNode(j - 1);
+                    const to = j === restLength ? endNode : restNode(j);
+                    
+                    for (let v = 0; v < variants.length; v++) {
+                        const variant = variants[v];
+                        const added = leg(from, variant[0]) + leg(variant[length - 1], to) -
+                            leg(from, to) + inner(variant);
+                        if (added - removed < -1e-6) {
+                            const stops = freeOrder.slice(i, last + 1);
+                            const rest = [...freeOrder.slice(0, i), ...freeOrder.slice(last + 1)];
+                            apply([...rest.slice(0, j), ...(v === 0 ? stops : stops.reverse()), ...rest.slice(j)]);
+                            improved = true;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+    }
+    
+    return { freeOrder, cost };
+}
+
+// Double-bridge kick: cut the permutation into four parts and reconnect them as A C B D
+function perturbFreeOrder(freeOrder, random) {
+    const m = freeOrder.length;
+    if (m < 8) {
+        // Too short for a double bridge; swap two random stops instead
+        const copy = [...freeOrder];
+        const i = Math.floor(random() * m);
+        const j = Math.floor(random() * m);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+        return copy;
+    }
+    
+    const cuts = [0, 0, 0]
+        .map(() => 1 + Math.floor(random() * (m - 1)))
+        .sort((a, b) => a - b);
+    return [
+        ...freeOrder.slice(0, cuts[0]),
+        ...freeOrder.slice(cuts[1], cuts[2]),
+        ...freeOrder.slice(cuts[0], cuts[1]),
+        ...freeOrder.slice(cuts[2])
+    ];
+}
+
+/**
+ * Iterated local search for trips too large to solve exactly.
+ * Starts from the best of the given orders, then alternates local search with
+ * random kicks until the time budget or iteration cap runs out.
+ * @param {object} problem - Problem from createRouteProblem
+ * @param {number[][]} initialOrders - Full orders to start from
+ * @param {number} timeLimitMs - Time budget in milliseconds
+ * @returns {Promise<number[]>} Best order found
+ */
+async function solveLocalSearchOrder(problem, initialOrders, timeLimitMs = LOCAL_SEARCH_TIME_LIMIT_MS) {
+    const isFree = problem.slots.map(fixed => fixed === null);
+    const toFreeOrder = order => order.filter((_, position) => isFree[position]);
+    
+    let best = null;
+    for (const order of initialOrders) {
+        const cost = routeOrderCost(problem, order);
+        if (!best || cost < best.cost) {
+            best = { freeOrder: toFreeOrder(order), cost };
         }
+    }
+    
+    const deadline = Date.now() + timeLimitMs;
+    best = improveFreeOrder(problem, best.freeOrder, best.cost, deadline);
+    let current = best;
+    
+    const random = createRandom(problem.size * 7919 + problem.freeStops.length);
+    
+    for (let iteration = 0; iteration < LOCAL_SEARCH_MAX_ITERATIONS && Date.now() < deadline; iteration++) {
+        const kicked = perturbFreeOrder(current.freeOrder, random);
+        const kickedCost = routeOrderCost(problem, composeOrder(problem, kicked));
+        const candidate = improveFreeOrder(problem, kicked, kickedCost, deadline);
         
-        if (error.name === 'TypeError') {
-            return { 
-                success: false, 
-                retryable: true, 
-                error: 'Network error',
-                errorInfo: { server: VALHALLA_SERVER, message: error.message }
-            };
+        // Accept equal-cost moves so the search can drift across plateaus
+        if (candidate.cost <= current.cost) {
+            current = candidate;
+        }
+        if (current.cost < best.cost) {
+            best = current;
         }
         
-        return { 
-            success: false, 
+        // Let the UI breathe between iterations
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    return composeOrder(problem, best.freeOrder);
+}
+
+// Calculate distance between two points (Haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth's radius in km
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+              Math.sin(dLon/2) * Math.sin(dLon/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c;
+}
+
+function toRad(deg) {
+    return deg * Math.PI / 180;
+}
+
+// ===================================
+// Route Calculation (OSRM with Fallbacks)
+// ===================================
+
+// Public demo servers, tried in this order until other providers are set up in
+// Settings (see Routing Providers). OSRM instances only serve the profile they
+// were built for, so each lists its travel modes; the car servers also stand in
+// for trucks when Valhalla is down.
+const DEFAULT_ROUTING_PROVIDERS = [
+    { type: 'osrm', url: 'https://router.project-osrm.org', modes: ['car', 'truck'] },
+    { type: 'osrm', url: 'https://routing.openstreetmap.de/routed-car', modes: ['car', 'truck'] },
+    { type: 'osrm', url: 'https://routing.openstreetmap.de/routed-bike', modes: ['bicycle'] },
+    { type: 'osrm', url: 'https://routing.openstreetmap.de/routed-foot', modes: ['pedestrian'] },
+    { type: 'valhalla', url: 'https://valhalla1.openstreetmap.de', modes: null }
+];
+
+// Valhalla error code mappings for user-friendly messages
+const VALHALLA_ERROR_MESSAGES = {
+    171: 'No route exists between these locations.',
+    154: 'Path distance exceeds the maximum allowed.',
+    106: 'Invalid location coordinates.'
+};
+
+// Fallback speed assumptions for route estimation when routing services are unavailable
+const FALLBACK_AVERAGE_SPEED_KMH = 45; // Average urban/suburban driving speed in km/h
+
+/**
+ * Routing profile per travel mode.
+ * - osrmProfile: Profile name in OSRM URLs. Single-profile servers ignore it.
+ * - osrmExcludes: OSRM exclude classes for the avoid options. The stock car profile
+ *   only excludes one class at a time; bike and foot profiles don't exclude any.
+ * - valhallaCosting/valhallaAvoids: Valhalla costing model and the costing options
+ *   that avoid a road type (set to 0).
+ * - graphHopperProfile: GraphHopper profile name (the server's standard names).
+ * - fallbackSpeedKmh: Speed for straight-line estimates when no service answers.
+ * - avoids: Avoid options that apply to the mode.
+ */
+const TRAVEL_MODES = {
+    car: {
+        osrmProfile: 'driving',
+        osrmExcludes: { tolls: 'toll', highways: 'motorway', ferries: 'ferry' },
+        valhallaCosting: 'auto',
+        valhallaAvoids: { tolls: 'use_tolls', highways: 'use_highways', ferries: 'use_ferry' },
+        graphHopperProfile: 'car',
+        fallbackSpeedKmh: FALLBACK_AVERAGE_SPEED_KMH,
+        avoids: ['tolls', 'highways', 'ferries']
+    },
+    bicycle: {
+        osrmProfile: 'cycling',
+        osrmExcludes: {},
+        valhallaCosting: 'bicycle',
+        valhallaAvoids: { ferries: 'use_ferry' },
+        graphHopperProfile: 'bike',
+        fallbackSpeedKmh: 15,
+        avoids: ['ferries']
+    },
+    pedestrian: {
+        osrmProfile: 'walking',
+        osrmExcludes: {},
+        valhallaCosting: 'pedestrian',
+        valhallaAvoids: { ferries: 'use_ferry' },
+        graphHopperProfile: 'foot',
+        fallbackSpeedKmh: 5,
+        avoids: ['ferries']
+    },
+    truck: {
+        osrmProfile: 'driving',
+        osrmExcludes: { tolls: 'toll', highways: 'motorway', ferries: 'ferry' },
+        valhallaCosting: 'truck',
+        valhallaAvoids: { tolls: 'use_tolls', highways: 'use_highways', ferries: 'use_ferry' },
+        graphHopperProfile: 'truck',
+        fallbackSpeedKmh: 40,
+        avoids: ['tolls', 'highways', 'ferries']
+    }
+};
+
+// GraphHopper custom model conditions for the avoid options
+const GRAPHHOPPER_AVOID_CONDITIONS = {
+    tolls: 'toll == ALL',
+    highways: 'road_class == MOTORWAY',
+    ferries: 'road_environment == FERRY'
+};
+
+/**
+ * Resolve the travel mode and avoid options into what each routing service needs,
+ * so every request (routes, matrices and search estimates) uses the same settings.
+ * osrmQuery is null when OSRM can't honor the avoid options.
+ * @param {?object} truck - Truck profile of the vehicle being routed (see TRUCK_PROFILE_FIELDS)
+ * @param {string} travelMode - Travel mode, the chosen one unless testing a provider
+ * @returns {{mode: string, osrmProfile: string, osrmQuery: ?string, valhallaCosting: string, valhallaCostingOptions: ?object, graphHopperProfile: string, graphHopperCustomModel: ?object, fallbackSpeedKmh: number, isTruck: boolean}}
+ */
+function getRoutingProfile(truck = null, travelMode = state.travelMode) {
+    const mode = TRAVEL_MODES[travelMode] || TRAVEL_MODES.car;
+    const avoid = mode.avoids.filter(option => state.avoid[option]);
+    const excludes = avoid.map(option => mode.osrmExcludes[option]);
+    const osrmSupported = excludes.length <= 1 && !excludes.includes(undefined);
+    const isTruck = travelMode === 'truck';
+    
+    const costingOptions = {
+        ...Object.fromEntries(avoid.map(option => [mode.valhallaAvoids[option], 0])),
+        ...(isTruck ? getTruckCostingOptions(truck) : {})
+    };
+    
+    let osrmQuery = null;
+    if (osrmSupported) {
+        osrmQuery = excludes.length > 0 ? `&exclude=${excludes[0]}` : '';
+    }
+    
+    return {
+        mode: TRAVEL_MODES[travelMode] ? travelMode : 'car',
+        osrmProfile: mode.osrmProfile,
+        osrmQuery,
+        valhallaCosting: mode.valhallaCosting,
+        valhallaCostingOptions: Object.keys(costingOptions).length > 0
+            ? { [mode.valhallaCosting]: costingOptions }
+            : null,
+        graphHopperProfile: mode.graphHopperProfile,
+        graphHopperCustomModel: avoid.length > 0
+            ? { priority: avoid.map(option => ({ if: GRAPHHOPPER_AVOID_CONDITIONS[option], multiply_by: '0' })) }
+            : null,
+        fallbackSpeedKmh: mode.fallbackSpeedKmh,
+        isTruck
+    };
+}
+
+// Valhalla request settings for the current travel mode
+function getValhallaCosting(profile) {
+    return profile.valhallaCostingOptions
+        ? { costing: profile.valhallaCosting, costing_options: profile.valhallaCostingOptions }
+        : { costing: profile.valhallaCosting };
+}
+
+// Request headers for a routing provider, with its API key header if it has one
+function getProviderHeaders(provider, extraHeaders = {}) {
+    const headers = { 'Accept': 'application/json', ...extraHeaders };
+    if (provider.apiKeyHeader && provider.apiKey) {
+        headers[provider.apiKeyHeader] = provider.apiKey;
+    }
+    return headers;
+}
+
+// Check if the browser is online
+function isOnline() {
+    return navigator.onLine !== false;
+}
+
+// Test network connectivity by making a lightweight request
+async function testNetworkConnectivity() {
+    try {
+        // Use a lightweight request to test connectivity
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+        
+        const response = await fetch('https://nominatim.openstreetmap.org/status.php', {
+            method: 'HEAD',
+            signal: controller.signal,
+            cache: 'no-store'
+        });
+        
+        clearTimeout(timeoutId);
+        return response.ok;
+    } catch (error) {
+        console.warn('Network connectivity test failed:', error.message);
+        return false;
+    }
+}
+
+// Validate waypoints before making routing request
+function validateWaypoints(waypoints) {
+    if (!waypoints || waypoints.length < 2) {
+        return { valid: false, error: 'At least two locations are required for routing.' };
+    }
+    
+    for (let i = 0; i < waypoints.length; i++) {
+        const wp = waypoints[i];
+        if (!wp || typeof wp.lat !== 'number' || typeof wp.lng !== 'number') {
+            return { valid: false, error: `Invalid coordinates for waypoint ${i + 1}. Please re-enter the address.` };
+        }
+        if (wp.lat < -90 || wp.lat > 90 || wp.lng < -180 || wp.lng > 180) {
+            return { valid: false, error: `Coordinates out of range for waypoint ${i + 1}. Please re-enter the address.` };
+        }
+        if (isNaN(wp.lat) || isNaN(wp.lng)) {
+            return { valid: false, error: `Invalid coordinates for waypoint ${i + 1}. Please re-enter the address.` };
+        }
+    }
+    
+    return { valid: true };
+}
+
+// Compass words for OSRM's depart bearing
+const COMPASS_DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+/**
+ * Turn an OSRM route step into a sentence, e.g. "Turn left onto Main Street".
+ * OSRM only returns maneuver types and modifiers, not text.
+ * @param {object} step - Step from an OSRM leg requested with steps=true
+ * @returns {string}
+ */
+function describeOsrmStep(step) {
+    const { type, modifier, exit, bearing_after: bearing } = step.maneuver;
+    const road = step.name || step.ref || '';
+    const onto = road ? ` onto ${road}` : '';
+    
+    switch (type) {
+        case 'depart': {
+            const heading = typeof bearing === 'number' ? ` ${COMPASS_DIRECTIONS[Math.round(bearing / 45) % 8]}` : '';
+            return `Head${heading}${road ? ` on ${road}` : ''}`;
+        }
+        case 'arrive':
+            return modifier === 'left' || modifier === 'right'
+                ? `Arrive at the stop, on the ${modifier}`
+                : 'Arrive at the stop';
+        case 'roundabout':
+        case 'rotary':
+        case 'exit roundabout':
+        case 'exit rotary':
+            return `At the roundabout, take the ${exit ? `${formatOrdinal(exit)} ` : ''}exit${onto}`;
+        case 'merge':
+            return `Merge${onto}`;
+        case 'on ramp':
+            return `Take the ramp${onto}`;
+        case 'off ramp':
+            return `Take the exit${onto}`;
+        case 'fork':
+            return `Keep ${modifier || 'straight'} at the fork${onto}`;
+        case 'end of road':
+            return `Turn ${modifier} at the end of the road${onto}`;
+        case 'continue':
+        case 'new name':
+            return `Continue${onto}`;
+        default:
+            if (modifier === 'uturn') return `Make a U-turn${onto}`;
+            if (!modifier || modifier === 'straight') return `Continue straight${onto}`;
+            return `Turn ${modifier}${onto}`;
+    }
+}
+
+// 1st, 2nd, 3rd, 4th...
+function formatOrdinal(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+    return `${n}${suffix}`;
+}
+
+/**
+ * Try to calculate route using an OSRM server
+ * @param {object} provider - Routing provider (see Routing Providers)
+ * @param {Array<{lat: number, lng: number}>} waypoints - Array of waypoints with lat/lng coordinates
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @param {number} timeoutMs - Request timeout in milliseconds (default: 30000)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, retryable?: boolean, errorInfo?: object}>}
+ */
+async function tryRouteServer(provider, waypoints, profile, timeoutMs = 30000) {
+    const serverUrl = provider.url;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        const coords = waypoints.map(wp => `${wp.lng.toFixed(6)},${wp.lat.toFixed(6)}`).join(';');
+        const url = `${serverUrl}/route/v1/${profile.osrmProfile}/${coords}?overview=full&geometries=geojson&steps=true${profile.osrmQuery}`;
+        console.log(`Trying routing server: ${serverUrl}`);
+        
+        const response = await fetch(url, {
+            signal: controller.signal,
+            headers: getProviderHeaders(provider)
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            const errorInfo = {
+                status: response.status,
+                statusText: response.statusText,
+                server: serverUrl
+            };
+            
+            if (response.status === 429) {
+                return { success: false, retryable: true, error: 'Rate limited', errorInfo };
+            }
+            if (response.status >= 500) {
+                return { success: false, retryable: true, error: 'Server error', errorInfo };
+            }
+            if (response.status === 400) {
+                return { success: false, retryable: false, error: 'Invalid request', errorInfo };
+            }
+            
+            return { success: false, retryable: true, error: `HTTP ${response.status}`, errorInfo };
+        }
+        
+        const data = await response.json();
+        
+        // Handle OSRM-specific error codes
+        if (data.code === 'NoRoute') {
+            return { 
+                success: false, 
+                retryable: false, 
+                error: 'No driving route exists between these locations. They may be on different landmasses or not accessible by road.'
+            };
+        }
+        
+        if (data.code === 'NoSegment') {
+            return { 
+                success: false, 
+                retryable: false, 
+                error: 'One or more locations are too far from a road. Please choose locations closer to roads.'
+            };
+        }
+        
+        if (data.code === 'InvalidInput' || data.code === 'InvalidQuery') {
+            return { 
+                success: false, 
+                retryable: false, 
+                error: 'Invalid location coordinates. Please re-enter the addresses.'
+            };
+        }
+        
+        if (data.code === 'TooBig') {
+            return { 
+                success: false, 
+                retryable: false, 
+                error: 'Route is too long. Please reduce the number of destinations or choose closer locations.'
+            };
+        }
+        
+        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+            return { 
+                success: false, 
+                retryable: true, 
+                error: `Unexpected response from routing service: ${data.code || 'No routes returned'}`
+            };
+        }
+        
+        // Success!
+        return {
+            success: true,
+            data: {
+                duration: data.routes[0].duration,
+                distance: data.routes[0].distance,
+                geometry: data.routes[0].geometry,
+                // One leg per pair of consecutive waypoints
+                legs: data.routes[0].legs.map(leg => ({
+                    duration: leg.duration,
+                    distance: leg.distance,
+                    steps: (leg.steps || []).map(step => ({
+                        instruction: describeOsrmStep(step),
+                        distance: step.distance,
+                        location: step.maneuver.location
+                    }))
+                }))
+            }
+        };
+        
+    } catch (error) {
+        clearTimeout(timeoutId);
+        
+        if (error.name === 'AbortError') {
+            return { 
+                success: false, 
+                retryable: true, 
+                error: 'Request timed out',
+                errorInfo: { server: serverUrl, timeout: timeoutMs }
+            };
+        }
+        
+        if (error.name === 'TypeError') {
+            // Network error (CORS, DNS, connection refused, etc.)
+            return { 
+                success: false, 
+                retryable: true, 
+                error: 'Network error',
+                errorInfo: { server: serverUrl, message: error.message }
+            };
+        }
+        
+        return { 
+            success: false, 
             retryable: true, 
             error: error.message || 'Unknown error',
-            errorInfo: { server: VALHALLA_SERVER }
+            errorInfo: { server: serverUrl }
+        };
+    }
+}
+
+/**
+ * Try to calculate route using Valhalla API (different format than OSRM)
+ * Valhalla uses POST requests with JSON body instead of URL parameters
+ * @param {object} provider - Routing provider (see Routing Providers)
+ * @param {Array<{lat: number, lng: number}>} waypoints - Array of waypoints with lat/lng coordinates
+ * @param {object} profile - Travel mode settings from getRoutingProfile (costing and truck options)
+ * @param {number} timeoutMs - Request timeout in milliseconds (default: 30000)
+ * @returns {Promise<{success: boolean, data?: {duration: number, distance: number, geometry: object, legs: Array<{duration: number, distance: number, steps: Array<object>}>}, error?: string, retryable?: boolean, errorInfo?: object}>}
+ */
+async function tryValhallaServer(provider, waypoints, profile, timeoutMs = 30000) {
+    const serverUrl = `${provider.url}/route`;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        // Build Valhalla request body (uses 'lon' not 'lng')
+        const locations = waypoints.map(wp => ({
+            lat: wp.lat,
+            lon: wp.lng
+        }));
+        
+        const requestBody = {
+            locations: locations,
+            ...getValhallaCosting(profile),
+            directions_options: {
+                units: 'kilometers'
+            }
         };
+        
+        console.log('Trying Valhalla routing server:', serverUrl);
+        
+        const response = await fetch(serverUrl, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: getProviderHeaders(provider, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(requestBody)
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            const errorInfo = {
+                status: response.status,
+                statusText: response.statusText,
+                server: serverUrl
+            };
+            
+            if (response.status === 429) {
+                return { success: false, retryable: true, error: 'Rate limited', errorInfo };
+            }
+            if (response.status >= 500) {
+                return { success: false, retryable: true, error: 'Server error', errorInfo };
+            }
+            
+            return { success: false, retryable: true, error: `HTTP ${response.status}`, errorInfo };
+        }
+        
+        const data = await response.json();
+        
+        // Handle Valhalla-specific error codes using the module-level constant
+        if (data.error_code) {
+            return {
+                success: false,
+                retryable: false,
+                error: VALHALLA_ERROR_MESSAGES[data.error_code] || data.error || 'Valhalla routing error'
+            };
+        }
+        
+        if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
+            return {
+                success: false,
+                retryable: true,
+                error: 'No route data returned from Valhalla'
+            };
+        }
+        
+        // Extract route data from Valhalla response
+        // Valhalla returns duration in seconds and distance in the units requested
+        const trip = data.trip;
+        const totalDuration = trip.summary.time; // seconds
+        const totalDistance = trip.summary.length * 1000; // convert km to meters
+        
+        // Decode Valhalla's encoded polyline to GeoJSON
+        const legShapes = trip.legs.map(leg => (leg.shape ? decodeValhallaPolyline(leg.shape) : []));
+        const coordinates = legShapes.flat();
+        
+        // Success!
+        return {
+            success: true,
+            data: {
+                duration: totalDuration,
+                distance: totalDistance,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: coordinates
+                },
+                legs: trip.legs.map((leg, i) => ({
+                    duration: leg.summary.time, // seconds
+                    distance: leg.summary.length * 1000, // convert km to meters
+                    // Maneuvers point into their leg's shape
+                    steps: (leg.maneuvers || []).map(maneuver => ({
+                        instruction: maneuver.instruction,
+                        distance: maneuver.length * 1000,
+                        location: legShapes[i][maneuver.begin_shape_index] || null
+                    }))
+                }))
+            }
+        };
+        
+    } catch (error) {
+        clearTimeout(timeoutId);
+        
+        if (error.name === 'AbortError') {
+            return { 
+                success: false, 
+                retryable: true, 
+                error: 'Request timed out',
+                errorInfo: { server: serverUrl, timeout: timeoutMs }
+            };
+        }
+        
+        if (error.name === 'TypeError') {
+            return { 
+                success: false, 
+                retryable: true, 
+                error: 'Network error',
+                errorInfo: { server: serverUrl, message: error.message }
+            };
+        }
+        
+        return { 
+            success: false, 
+            retryable: true, 
+            error: error.message || 'Unknown error',
+            errorInfo: { server: serverUrl }
+        };
+    }
+}
+
+/**
+ * Decode Valhalla's polyline6 encoded geometry
+ * Valhalla uses polyline6 encoding with 6 decimal places precision (1e6)
+ * This is higher precision than Google's standard polyline encoding (5 decimals, 1e5)
+ * @param {string} encoded - The encoded polyline string from Valhalla API
+ * @returns {Array<[number, number]>} Array of [lng, lat] coordinate pairs (GeoJSON format)
+ */
+function decodeValhallaPolyline(encoded) {
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+    
+    while (index < encoded.length) {
+        let b;
+        let shift = 0;
+        let result = 0;
+        
+        do {
+            b = encoded.charCodeAt(index++) - 63;
+            result |= (b & 0x1f) << shift;
+            shift += 5;
+        } while (b >= 0x20);
+        
+        const dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
+        lat += dlat;
+        
+        shift = 0;
+        result = 0;
+        
+        do {
+            b = encoded.charCodeAt(index++) - 63;
+            result |= (b & 0x1f) << shift;
+            shift += 5;
+        } while (b >= 0x20);
+        
+        const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
+        lng += dlng;
+        
+        // Valhalla uses 6 decimal places precision (1e6)
+        coordinates.push([lng / 1e6, lat / 1e6]);
+    }
+    
+    return coordinates;
+}
+
+// GraphHopper instruction signs that end a leg
+const GRAPHHOPPER_SIGN_FINISH = 4;
+const GRAPHHOPPER_SIGN_VIA_REACHED = 5;
+
+/**
+ * Try to calculate route using a GraphHopper server (self-hosted or the hosted API)
+ * @param {object} provider - Routing provider (see Routing Providers)
+ * @param {Array<{lat: number, lng: number}>} waypoints - Array of waypoints with lat/lng coordinates
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @param {number} timeoutMs - Request timeout in milliseconds (default: 30000)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, retryable?: boolean, errorInfo?: object}>}
+ */
+async function tryGraphHopperServer(provider, waypoints, profile, timeoutMs = 30000) {
+    const serverUrl = `${provider.url}/route`;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        // GraphHopper takes [lng, lat] points
+        const requestBody = {
+            points: waypoints.map(wp => [wp.lng, wp.lat]),
+            profile: profile.graphHopperProfile,
+            points_encoded: false,
+            instructions: true,
+            locale: 'en'
+        };
+        // Avoiding road types needs a custom model, which the sped-up (CH) mode can't serve
+        if (profile.graphHopperCustomModel) {
+            requestBody.custom_model = profile.graphHopperCustomModel;
+            requestBody['ch.disable'] = true;
+        }
+        
+        console.log('Trying GraphHopper routing server:', serverUrl);
+        
+        const response = await fetch(serverUrl, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: getProviderHeaders(provider, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(requestBody)
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            const errorInfo = {
+                status: response.status,
+                statusText: response.statusText,
+                server: serverUrl
+            };
+            
+            if (response.status === 429) {
+                return { success: false, retryable: true, error: 'Rate limited', errorInfo };
+            }
+            if (response.status >= 500) {
+                return { success: false, retryable: true, error: 'Server error', errorInfo };
+            }
+            if (response.status === 400) {
+                // e.g. "Cannot find point 2" or an unknown profile
+                const data = await response.json().catch(() => ({}));
+                return { success: false, retryable: false, error: data.message || 'Invalid request', errorInfo };
+            }
+            
+            return { success: false, retryable: true, error: `HTTP ${response.status}`, errorInfo };
+        }
+        
+        const data = await response.json();
+        const path = data.paths && data.paths[0];
+        if (!path || !path.points || !path.instructions) {
+            return {
+                success: false,
+                retryable: true,
+                error: 'No route data returned from GraphHopper'
+            };
+        }
+        
+        // One list of instructions for the whole route; "via reached" and "finish" end each leg
+        const coordinates = path.points.coordinates;
+        const legs = [];
+        let leg = { duration: 0, distance: 0, steps: [] };
+        path.instructions.forEach(instruction => {
+            leg.duration += instruction.time / 1000; // milliseconds to seconds
+            leg.distance += instruction.distance;
+            leg.steps.push({
+                instruction: instruction.text,
+                distance: instruction.distance,
+                location: coordinates[instruction.interval[0]] || null
+            });
+            if (instruction.sign === GRAPHHOPPER_SIGN_VIA_REACHED || instruction.sign === GRAPHHOPPER_SIGN_FINISH) {
+                legs.push(leg);
+                leg = { duration: 0, distance: 0, steps: [] };
+            }
+        });
+        
+        if (legs.length !== waypoints.length - 1) {
+            return {
+                success: false,
+                retryable: false,
+                error: 'GraphHopper returned a route without a leg per stop'
+            };
+        }
+        
+        // Success!
+        return {
+            success: true,
+            data: {
+                duration: path.time / 1000, // milliseconds to seconds
+                distance: path.distance,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: coordinates
+                },
+                legs: legs
+            }
+        };
+        
+    } catch (error) {
+        clearTimeout(timeoutId);
+        
+        if (error.name === 'AbortError') {
+            return {
+                success: false,
+                retryable: true,
+                error: 'Request timed out',
+                errorInfo: { server: serverUrl, timeout: timeoutMs }
+            };
+        }
+        
+        if (error.name === 'TypeError') {
+            return {
+                success: false,
+                retryable: true,
+                error: 'Network error',
+                errorInfo: { server: serverUrl, message: error.message }
+            };
+        }
+        
+        return {
+            success: false,
+            retryable: true,
+            error: error.message || 'Unknown error',
+            errorInfo: { server: serverUrl }
+        };
+    }
+}
+
+// Calculate a fallback route using straight-line distances when routing fails
+function calculateFallbackRoute(waypoints, profile) {
+    const { fallbackSpeedKmh } = profile;
+    let totalDistance = 0;
+    const coordinates = [];
+    const legs = [];
+    
+    for (let i = 0; i < waypoints.length; i++) {
+        coordinates.push([waypoints[i].lng, waypoints[i].lat]);
+        
+        if (i > 0) {
+            const legDistance = calculateDistance(
+                waypoints[i-1].lat, waypoints[i-1].lng,
+                waypoints[i].lat, waypoints[i].lng
+            ) * 1000; // Convert km to meters
+            
+            totalDistance += legDistance;
+            legs.push({
+                duration: (legDistance / 1000) / fallbackSpeedKmh * 3600, // seconds
+                distance: legDistance
+            });
+        }
+    }
+    
+    // Estimate duration using fallback average speed
+    const estimatedDuration = (totalDistance / 1000) / fallbackSpeedKmh * 3600; // seconds
+    
+    return {
+        duration: estimatedDuration,
+        distance: totalDistance,
+        geometry: {
+            type: 'LineString',
+            coordinates: coordinates
+        },
+        legs: legs,
+        isFallback: true,
+        ignoresRestrictions: profile.isTruck
+    };
+}
+
+// Main route calculation function with comprehensive error handling
+async function calculateRoute(waypoints, options = {}) {
+    const { maxRetries = 2, useFallback = true, truck = null } = options;
+    const profile = getRoutingProfile(truck);
+    const fallback = () => calculateFallbackRoute(waypoints, profile);
+    
+    // Step 1: Validate waypoints
+    const validation = validateWaypoints(waypoints);
+    if (!validation.valid) {
+        throw new Error(validation.error);
+    }
+    
+    // Step 2: Check browser online status
+    if (!isOnline()) {
+        if (useFallback) {
+            showToast('Offline: Using estimated route', 'warning');
+            return fallback();
+        }
+        throw new Error('You appear to be offline. Please check your internet connection and try again.');
+    }
+    
+    // Step 3: Try the configured routing providers in order, each with retries
+    const errors = [];
+    for (const provider of getRoutingChain(profile)) {
+        const data = await routeWithProvider(provider, waypoints, profile, maxRetries, errors);
+        if (data) {
+            return data;
+        }
+    }
+    
+    // Step 4: All servers failed - analyze errors and provide helpful message
+    console.error('All routing attempts failed:', errors);
+    
+    // Check if all errors are network-related
+    const allNetworkErrors = errors.every(e => 
+        e.error === 'Network error' || 
+        e.error === 'Request timed out'
+    );
+    
+    if (allNetworkErrors) {
+        // Double-check network connectivity
+        const hasConnectivity = await testNetworkConnectivity();
+        
+        if (!hasConnectivity) {
+            if (useFallback) {
+                showToast('No internet connection detected. Using estimated route based on straight-line distances.', 'warning');
+                return fallback();
+            }
+            throw new Error('No internet connection detected. Please check your network settings and try again.');
+        } else {
+            // Network works but routing servers are down
+            if (useFallback) {
+                showToast('Routing services are currently unavailable. Using estimated route based on straight-line distances.', 'warning');
+                return fallback();
+            }
+            throw new Error('The routing service is currently unavailable (not your internet). Please try again in a few minutes or use the estimated route.');
+        }
+    }
+    
+    // Check for specific non-retryable errors
+    const nonRetryableError = errors.find(e => 
+        e.error.includes('No driving route') ||
+        e.error.includes('too far from a road') ||
+        e.error.includes('Invalid location') ||
+        e.error.includes('too long')
+    );
+    
+    if (nonRetryableError) {
+        throw new Error(nonRetryableError.error);
+    }
+    
+    // Check if rate limited
+    const rateLimited = errors.some(e => e.error === 'Rate limited');
+    if (rateLimited) {
+        if (useFallback) {
+            showToast('Route calculation service is busy. Using estimated route.', 'warning');
+            return fallback();
+        }
+        throw new Error('Route calculation service is busy. Please wait a moment and try again.');
+    }
+    
+    // Generic fallback error
+    if (useFallback) {
+        showToast('Unable to calculate exact route. Using estimated route based on straight-line distances.', 'warning');
+        return fallback();
+    }
+    
+    throw new Error('Unable to calculate route. Please verify your destinations and try again. You may also try refreshing the page.');
+}
+
+/**
+ * Try one routing provider with retries and exponential backoff.
+ * @param {object} provider - Routing provider (see Routing Providers)
+ * @param {Array<{lat: number, lng: number}>} waypoints - Route waypoints
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @param {number} maxRetries - Retries for retryable errors
+ * @param {Array<object>} errors - Collects every failed attempt
+ * @returns {Promise<?object>} The route, or null when the provider failed
+ */
+async function routeWithProvider(provider, waypoints, profile, maxRetries, errors) {
+    const engine = ROUTING_ENGINES[provider.type];
+    
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        const result = await engine.route(provider, waypoints, profile);
+        
+        if (result.success) {
+            console.log(`Route calculated successfully using ${provider.url}`);
+            // Only some engines know truck restrictions; the others route trucks as cars
+            return profile.isTruck && !engine.restrictsTrucks
+                ? { ...result.data, ignoresRestrictions: true }
+                : result.data;
+        }
+        
+        errors.push({
+            server: provider.url,
+            attempt: attempt + 1,
+            error: result.error,
+            errorInfo: result.errorInfo
+        });
+        
+        // Don't retry non-retryable errors
+        if (!result.retryable) {
+            console.warn(`Non-retryable error from ${provider.url}:`, result.error);
+            break;
+        }
+        
+        // Wait before retry with exponential backoff
+        if (attempt < maxRetries) {
+            const waitTime = Math.min(1000 * Math.pow(2, attempt), 5000);
+            console.log(`Retrying in ${waitTime}ms...`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+    }
+    
+    return null;
+}
+
+// ===================================
+// Travel Time Matrix (OSRM Table / Valhalla Matrix)
+// ===================================
+
+// Maximum number of coordinates per matrix request. The public OSRM servers reject
+// tables with more than 100 locations and the public Valhalla instance accepts at
+// most 50, so larger stop lists are split into blocks of sources x destinations.
+// GraphHopper's matrix API allows fewer points on its smaller plans.
+const OSRM_TABLE_MAX_LOCATIONS = 100;
+const VALHALLA_MATRIX_MAX_LOCATIONS = 50;
+const GRAPHHOPPER_MATRIX_MAX_LOCATIONS = 40;
+
+/**
+ * Split point indices into blocks of sources and destinations that fit a request limit
+ * @param {number} count - Number of points in the matrix
+ * @param {number} maxLocations - Maximum number of coordinates in a single request
+ * @returns {Array<{sources: number[], destinations: number[]}>}
+ */
+function buildMatrixBlocks(count, maxLocations) {
+    const all = Array.from({ length: count }, (_, i) => i);
+    
+    if (count <= maxLocations) {
+        return [{ sources: all, destinations: all }];
+    }
+    
+    // Half of the request goes to sources and half to destinations
+    const chunkSize = Math.floor(maxLocations / 2);
+    const chunks = [];
+    for (let i = 0; i < count; i += chunkSize) {
+        chunks.push(all.slice(i, i + chunkSize));
+    }
+    
+    const blocks = [];
+    for (const sources of chunks) {
+        for (const destinations of chunks) {
+            blocks.push({ sources, destinations });
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Request one block of the travel matrix from an OSRM server's table service
+ * @param {object} provider - Routing provider (see Routing Providers)
+ * @param {Array<{lat: number, lng: number}>} points - All matrix points
+ * @param {{sources: number[], destinations: number[]}} block - Point indices to request
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @param {number} timeoutMs - Request timeout in milliseconds (default: 30000)
+ * @returns {Promise<{success: boolean, durations?: Array<Array<?number>>, distances?: Array<Array<?number>>, error?: string}>}
+ */
+async function tryOsrmTable(provider, points, block, profile, timeoutMs = 30000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        // Send each point once, then reference it by position for sources/destinations
+        const blockPoints = [...new Set([...block.sources, ...block.destinations])];
+        const position = new Map(blockPoints.map((pointIdx, i) => [pointIdx, i]));
+        const coords = blockPoints
+            .map(i => `${points[i].lng.toFixed(6)},${points[i].lat.toFixed(6)}`)
+            .join(';');
+        const sources = block.sources.map(i => position.get(i)).join(';');
+        const destinations = block.destinations.map(i => position.get(i)).join(';');
+        
+        const response = await fetch(
+            `${provider.url}/table/v1/${profile.osrmProfile}/${coords}?sources=${sources}&destinations=${destinations}&annotations=duration,distance${profile.osrmQuery}`,
+            {
+                signal: controller.signal,
+                headers: getProviderHeaders(provider)
+            }
+        );
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+        
+        const data = await response.json();
+        if (data.code !== 'Ok' || !data.durations) {
+            return { success: false, error: data.message || data.code || 'No table returned' };
+        }
+        
+        return {
+            success: true,
+            durations: data.durations,
+            distances: data.distances || null
+        };
+    } catch (error) {
+        clearTimeout(timeoutId);
+        return {
+            success: false,
+            error: error.name === 'AbortError' ? 'Request timed out' : (error.message || 'Unknown error')
+        };
+    }
+}
+
+/**
+ * Request one block of the travel matrix from Valhalla's sources_to_targets service
+ * @param {object} provider - Routing provider (see Routing Providers)
+ * @param {Array<{lat: number, lng: number}>} points - All matrix points
+ * @param {{sources: number[], destinations: number[]}} block - Point indices to request
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @param {number} timeoutMs - Request timeout in milliseconds (default: 30000)
+ * @returns {Promise<{success: boolean, durations?: Array<Array<?number>>, distances?: Array<Array<?number>>, error?: string}>}
+ */
+async function tryValhallaMatrix(provider, points, block, profile, timeoutMs = 30000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        const toLocation = i => ({ lat: points[i].lat, lon: points[i].lng });
+        const requestBody = {
+            sources: block.sources.map(toLocation),
+            targets: block.destinations.map(toLocation),
+            ...getValhallaCosting(profile),
+            units: 'kilometers'
+        };
+        
+        const response = await fetch(`${provider.url}/sources_to_targets`, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: getProviderHeaders(provider, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(requestBody)
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+        
+        const data = await response.json();
+        if (data.error_code || !Array.isArray(data.sources_to_targets)) {
+            return {
+                success: false,
+                error: VALHALLA_ERROR_MESSAGES[data.error_code] || data.error || 'No matrix returned'
+            };
+        }
+        
+        // Valhalla returns one row per source; unreachable cells have null time/distance
+        const durations = data.sources_to_targets.map(row => row.map(cell => cell.time ?? null));
+        const distances = data.sources_to_targets.map(row => row.map(cell =>
+            cell.distance === null || cell.distance === undefined ? null : cell.distance * 1000 // km to meters
+        ));
+        
+        return { success: true, durations, distances };
+    } catch (error) {
+        clearTimeout(timeoutId);
+        return {
+            success: false,
+            error: error.name === 'AbortError' ? 'Request timed out' : (error.message || 'Unknown error')
+        };
+    }
+}
+
+/**
+ * Request one block of the travel matrix from GraphHopper's matrix service
+ * @param {object} provider - Routing provider (see Routing Providers)
+ * @param {Array<{lat: number, lng: number}>} points - All matrix points
+ * @param {{sources: number[], destinations: number[]}} block - Point indices to request
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @param {number} timeoutMs - Request timeout in milliseconds (default: 30000)
+ * @returns {Promise<{success: boolean, durations?: Array<Array<?number>>, distances?: Array<Array<?number>>, error?: string}>}
+ */
+async function tryGraphHopperMatrix(provider, points, block, profile, timeoutMs = 30000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        const toPoint = i => [points[i].lng, points[i].lat];
+        const requestBody = {
+            from_points: block.sources.map(toPoint),
+            to_points: block.destinations.map(toPoint),
+            profile: profile.graphHopperProfile,
+            out_arrays: ['times', 'distances'],
+            fail_fast: false // Unreachable cells come back as null instead of failing the block
+        };
+        if (profile.graphHopperCustomModel) {
+            requestBody.custom_model = profile.graphHopperCustomModel;
+            requestBody['ch.disable'] = true;
+        }
+        
+        const response = await fetch(`${provider.url}/matrix`, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: getProviderHeaders(provider, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(requestBody)
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+        
+        const data = await response.json();
+        if (!Array.isArray(data.times)) {
+            return { success: false, error: data.message || 'No matrix returned' };
+        }
+        
+        return {
+            success: true,
+            durations: data.times, // seconds
+            distances: data.distances || null // meters
+        };
+    } catch (error) {
+        clearTimeout(timeoutId);
+        return {
+            success: false,
+            error: error.name === 'AbortError' ? 'Request timed out' : (error.message || 'Unknown error')
+        };
+    }
+}
+
+// Copy a block response into the full matrix, only filling cells that are still empty;
+// returns the [from, to] cells it filled
+function fillMatrixBlock(matrix, block, result) {
+    const filled = [];
+    block.sources.forEach((from, row) => {
+        block.destinations.forEach((to, col) => {
+            const duration = result.durations[row] ? result.durations[row][col] : null;
+            if (matrix.durations[from][to] !== null || duration === null || duration === undefined) {
+                return;
+            }
+            matrix.durations[from][to] = duration;
+            const distance = result.distances && result.distances[row] ? result.distances[row][col] : null;
+            matrix.distances[from][to] = distance ?? null;
+            filled.push([from, to]);
+        });
+    });
+    return filled;
+}
+
+// Check whether any cell of a block is still missing from the matrix
+function blockHasGaps(matrix, block) {
+    return block.sources.some(from =>
+        block.destinations.some(to => matrix.durations[from][to] === null)
+    );
+}
+
+/**
+ * Build a full duration/distance matrix between all points.
+ * Takes what it can from the response cache, asks each routing provider in the
+ * configured order for the cells still missing (OSRM table, Valhalla
+ * sources_to_targets or the GraphHopper matrix), and only falls back to a
+ * straight-line estimate for individual cells none of them returned.
+ * @param {Array<{lat: number, lng: number}>} points - Points to route between
+ * @param {?object} truck - Truck profile to respect (see TRUCK_PROFILE_FIELDS)
+ * @returns {Promise<{durations: number[][], distances: number[][], estimated: boolean[][], estimatedCells: number}>}
+ *   Durations in seconds, distances in meters
+ */
+async function buildTravelMatrix(points, truck = null) {
+    const count = points.length;
+    const emptyMatrix = () => Array.from({ length: count }, (_, i) =>
+        Array.from({ length: count }, (_, j) => (i === j ? 0 : null))
+    );
+    const matrix = {
+        durations: emptyMatrix(),
+        distances: emptyMatrix(),
+        estimated: Array.from({ length: count }, () => new Array(count).fill(false)),
+        estimatedCells: 0
+    };
+    const profile = getRoutingProfile(truck);
+    
+    // Step 1: Cells cached by earlier trips (or single estimates between the same points)
+    const pairs = [];
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+            if (i !== j) {
+                pairs.push({ i, j, key: getTravelTimeCacheKey(profile, points[i], points[j]) });
+            }
+        }
+    }
+    const cachedCells = await getCachedResponses(pairs.map(pair => pair.key));
+    pairs.forEach(({ i, j }, index) => {
+        if (cachedCells[index]) {
+            matrix.durations[i][j] = cachedCells[index].duration;
+            matrix.distances[i][j] = cachedCells[index].distance;
+        }
+    });
+    
+    // Step 2: Every provider in turn, for the blocks that still have missing cells.
+    // Only cells from engines that honor the whole profile are worth keeping: a truck
+    // time from a car router must not stand in for a truck route later.
+    const cacheable = Array.from({ length: count }, () => new Array(count).fill(false));
+    if (isOnline()) {
+        for (const provider of getRoutingChain(profile)) {
+            const engine = ROUTING_ENGINES[provider.type];
+            const honorsProfile = !profile.isTruck || engine.restrictsTrucks;
+            for (const block of buildMatrixBlocks(count, engine.maxMatrixLocations)) {
+                if (!blockHasGaps(matrix, block)) {
+                    continue;
+                }
+                const result = await engine.matrix(provider, points, block, profile);
+                if (result.success) {
+                    fillMatrixBlock(matrix, block, result).forEach(([from, to]) => {
+                        cacheable[from][to] = honorsProfile;
+                    });
+                } else {
+                    console.warn(`Matrix request failed for ${provider.url}:`, result.error);
+                }
+            }
+        }
+    }
+    
+    // Step 3: Keep the new road times for next time
+    cacheResponses(
+        pairs
+            .filter(({ i, j }) => cacheable[i][j] &&
+                matrix.durations[i][j] !== null && matrix.distances[i][j] !== null)
+            .map(({ i, j, key }) => ({
+                key,
+                value: { duration: matrix.durations[i][j], distance: matrix.distances[i][j] }
+            })),
+        TRAVEL_TIME_CACHE_TTL_MS
+    );
+    
+    // Step 4: Straight-line estimate for any cell no provider could fill
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+            if (matrix.durations[i][j] !== null && matrix.distances[i][j] !== null) {
+                continue;
+            }
+            
+            const straightLineKm = calculateDistance(points[i].lat, points[i].lng, points[j].lat, points[j].lng);
+            
+            if (matrix.durations[i][j] === null) {
+                matrix.durations[i][j] = (straightLineKm / profile.fallbackSpeedKmh) * 3600; // seconds
+                matrix.distances[i][j] = straightLineKm * 1000; // meters
+                matrix.estimated[i][j] = true;
+                matrix.estimatedCells++;
+            } else if (matrix.distances[i][j] === null) {
+                // Duration came from a service that didn't report distance
+                matrix.distances[i][j] = straightLineKm * 1000;
+            }
+        }
+    }
+    
+    return matrix;
+}
+
+// ===================================
+// Routing Providers
+// ===================================
+
+const ROUTING_PROVIDERS_SETTING = 'routingProviders';
+
+// Trial route length for the Test button, in degrees from the start location
+const PROVIDER_TEST_OFFSET = 0.01;
+
+/**
+ * Supported routing engines. Every provider names one of these as its type.
+ * - route/matrix: Request functions, called as (provider, waypoints|points, [block,] profile, timeoutMs)
+ * - maxMatrixLocations: Largest matrix block the public servers accept
+ * - restrictsTrucks: Whether the engine routes around truck height/weight limits
+ * - supports: Whether the engine can honor a profile's avoid options
+ */
+const ROUTING_ENGINES = {
+    osrm: {
+        name: 'OSRM',
+        route: tryRouteServer,
+        matrix: tryOsrmTable,
+        maxMatrixLocations: OSRM_TABLE_MAX_LOCATIONS,
+        restrictsTrucks: false,
+        supports: profile => profile.osrmQuery !== null
+    },
+    valhalla: {
+        name: 'Valhalla',
+        route: tryValhallaServer,
+        matrix: tryValhallaMatrix,
+        maxMatrixLocations: VALHALLA_MATRIX_MAX_LOCATIONS,
+        restrictsTrucks: true,
+        supports: () => true
+    },
+    graphhopper: {
+        name: 'GraphHopper',
+        route: tryGraphHopperServer,
+        matrix: tryGraphHopperMatrix,
+        maxMatrixLocations: GRAPHHOPPER_MATRIX_MAX_LOCATIONS,
+        restrictsTrucks: false,
+        supports: () => true
+    }
+};
+
+// Providers in the order they are tried; the public servers until any are configured
+function getRoutingProviders() {
+    return state.routingProviders || DEFAULT_ROUTING_PROVIDERS.map(provider => ({ ...provider, enabled: true }));
+}
+
+/**
+ * Providers to try for a profile, in order. Providers that can't serve the travel
+ * mode or honor the avoid options are left out. Truck routes ask engines that know
+ * truck restrictions first.
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @returns {Array<object>}
+ */
+function getRoutingChain(profile) {
+    const chain = getRoutingProviders().filter(provider =>
+        provider.enabled &&
+        ROUTING_ENGINES[provider.type] &&
+        (!provider.modes || provider.modes.includes(profile.mode)) &&
+        ROUTING_ENGINES[provider.type].supports(profile)
+    );
+    
+    if (profile.isTruck) {
+        return [
+            ...chain.filter(provider => ROUTING_ENGINES[provider.type].restrictsTrucks),
+            ...chain.filter(provider => !ROUTING_ENGINES[provider.type].restrictsTrucks)
+        ];
+    }
+    return chain;
+}
+
+async function loadRoutingProviders() {
+    try {
+        const providers = await getSetting(ROUTING_PROVIDERS_SETTING);
+        if (Array.isArray(providers)) {
+            state.routingProviders = providers;
+        }
+    } catch (error) {
+        console.warn('Could not load the routing providers:', error);
+    }
+}
+
+function saveRoutingProviders() {
+    saveSetting(ROUTING_PROVIDERS_SETTING, state.routingProviders).catch(error => {
+        console.warn('Could not save the routing providers:', error);
+    });
+}
+
+// Copy the current chain into state before the first change, so the defaults become editable
+function updateRoutingProviders(update) {
+    state.routingProviders = getRoutingProviders().map(provider => ({ ...provider }));
+    update(state.routingProviders);
+    saveRoutingProviders();
+    renderRoutingProviders();
+}
+
+function openSettings() {
+    renderRoutingProviders();
+    renderResponseCacheSize();
+    elements.settingsDialog.style.display = 'flex';
+}
+
+function closeSettings() {
+    elements.settingsDialog.style.display = 'none';
+}
+
+function renderRoutingProviders() {
+    const providers = getRoutingProviders();
+    elements.routingProvidersList.innerHTML = '';
+    providers.forEach((provider, index) => {
+        elements.routingProvidersList.appendChild(createRoutingProviderElement(provider, index, providers.length));
+    });
+    
+    // The demo servers must not take commercial traffic, even as a backup
+    const publicUrls = DEFAULT_ROUTING_PROVIDERS.map(provider => provider.url);
+    const publicEnabled = providers.filter(provider => provider.enabled && publicUrls.includes(provider.url)).length;
+    elements.publicProvidersNote.textContent = publicEnabled > 0
+        ? `⚠️ ${publicEnabled} public demo ${publicEnabled === 1 ? 'server is' : 'servers are'} still switched on. They are for light, non-commercial use: switch them off or delete them once your own servers are set up.`
+        : '';
+    elements.publicProvidersNote.style.display = publicEnabled > 0 ? 'block' : 'none';
+}
+
+function createRoutingProviderElement(provider, index, count) {
+    const item = document.createElement('li');
+    item.className = 'saved-route-item routing-provider-item';
+    item.classList.toggle('disabled', !provider.enabled);
+    
+    item.innerHTML = `
+        <input type="checkbox" class="routing-provider-toggle" title="Use this provider">
+        <div class="saved-route-info">
+            <div class="saved-route-name"></div>
+            <div class="stop-meta"></div>
+            <div class="routing-provider-status"></div>
+        </div>
+        <div class="saved-route-actions">
+            <button class="saved-route-btn" data-action="up" title="Try earlier">↑</button>
+            <button class="saved-route-btn" data-action="down" title="Try later">↓</button>
+            <button class="saved-route-btn" data-action="test" title="Test">🧪</button>
+            <button class="saved-route-btn" data-action="delete" title="Delete">🗑️</button>
+        </div>
+    `;
+    
+    const engine = ROUTING_ENGINES[provider.type];
+    item.querySelector('.saved-route-name').textContent = provider.url;
+    item.querySelector('.stop-meta').textContent = [
+        engine ? engine.name : provider.type,
+        provider.modes ? provider.modes.join(', ') : 'all travel modes',
+        provider.apiKey ? 'API key' : null
+    ].filter(Boolean).join(' · ');
+    
+    const toggle = item.querySelector('.routing-provider-toggle');
+    toggle.checked = provider.enabled;
+    toggle.addEventListener('change', () => {
+        updateRoutingProviders(providers => {
+            providers[index].enabled = toggle.checked;
+        });
+    });
+    
+    item.querySelector('[data-action="up"]').disabled = index === 0;
+    item.querySelector('[data-action="down"]').disabled = index === count - 1;
+    
+    const actions = {
+        up: () => moveRoutingProvider(index, -1),
+        down: () => moveRoutingProvider(index, 1),
+        test: () => testRoutingProvider(provider, item.querySelector('.routing-provider-status')),
+        delete: () => deleteRoutingProvider(index)
+    };
+    item.querySelectorAll('.saved-route-btn').forEach(btn => {
+        btn.addEventListener('click', () => actions[btn.dataset.action]());
+    });
+    
+    return item;
+}
+
+function moveRoutingProvider(index, offset) {
+    updateRoutingProviders(providers => {
+        const [provider] = providers.splice(index, 1);
+        providers.splice(index + offset, 0, provider);
+    });
+}
+
+function deleteRoutingProvider(index) {
+    updateRoutingProviders(providers => {
+        providers.splice(index, 1);
+    });
+    if (!getRoutingProviders().some(provider => provider.enabled)) {
+        showToast('No routing providers left: routes will be straight-line estimates', 'warning');
+    }
+}
+
+// Route a short trip from the start location through one provider and report the outcome
+async function testRoutingProvider(provider, statusElement) {
+    if (!state.startLocation) {
+        showToast('Set a start location to test against', 'warning');
+        return;
+    }
+    
+    const engine = ROUTING_ENGINES[provider.type];
+    const profile = getRoutingProfile(null, provider.modes ? provider.modes[0] : state.travelMode);
+    statusElement.className = 'routing-provider-status';
+    if (!engine.supports(profile)) {
+        statusElement.classList.add('failed');
+        statusElement.textContent = `✗ ${engine.name} can't avoid all the selected road types`;
+        return;
+    }
+    
+    const from = { lat: state.startLocation.lat, lng: state.startLocation.lng };
+    const to = { lat: from.lat + PROVIDER_TEST_OFFSET, lng: from.lng + PROVIDER_TEST_OFFSET };
+    
+    statusElement.textContent = 'Testing…';
+    const startedAt = Date.now();
+    const result = await engine.route(provider, [from, to], profile, 10000);
+    
+    if (result.success) {
+        statusElement.classList.add('ok');
+        statusElement.textContent = `✓ Works (${Date.now() - startedAt} ms)`;
+    } else {
+        statusElement.classList.add('failed');
+        statusElement.textContent = `✗ ${result.error}`;
+    }
+}
+
+function addRoutingProvider() {
+    const url = elements.providerUrlInput.value.trim().replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(url)) {
+        showToast('Enter the server address, starting with https://', 'warning');
+        return;
+    }
+    
+    const apiKeyHeader = elements.providerKeyHeaderInput.value.trim();
+    const apiKey = elements.providerKeyInput.value.trim();
+    if (apiKey && !apiKeyHeader) {
+        showToast('Enter the header the API key is sent in', 'warning');
+        return;
+    }
+    
+    const mode = elements.providerModeSelect.value;
+    // Your own server goes ahead of the public ones; later ones go to the end
+    const usingDefaults = state.routingProviders === null;
+    updateRoutingProviders(providers => {
+        providers[usingDefaults ? 'unshift' : 'push']({
+            type: elements.providerTypeSelect.value,
+            url: url,
+            modes: mode ? [mode] : null,
+            apiKeyHeader: apiKeyHeader || null,
+            apiKey: apiKey || null,
+            enabled: true
+        });
+    });
+    
+    elements.providerUrlInput.value = '';
+    elements.providerKeyInput.value = '';
+    showToast('Routing provider added', 'success');
+}
+
+function resetRoutingProviders() {
+    state.routingProviders = null;
+    saveRoutingProviders();
+    renderRoutingProviders();
+    showToast('Using the public routing servers', 'success');
+}
+
+// ===================================
+// Route Timeline
+// ===================================
+
+/**
+ * Turn a calculated route into clock times for every stop.
+ * Uses the route's per-leg durations, then applies arrival windows (waiting
+ * when early) and dwell time the same way the optimizer does.
+ * @param {Array<object>} order - Destinations in visiting order
+ * @param {{legs: Array<{duration: number, distance: number}>}} route - Result of calculateRoute
+ *   for start, the stops in order, and optionally the return leg
+ * @param {Date} departure - Departure time from the start
+ * @returns {{departure: Date, finish: Date, totalWait: number, totalDwell: number, startLoad: number, hasLoads: boolean,
+ *   stops: Array<{destination: object, leg: object, arrival: Date, departure: Date, wait: number, dwell: number, late: number, load: number}>,
+ *   end: ?{leg: object, arrival: Date}}} Durations in seconds
+ */
+function buildRouteTimeline(order, route, departure) {
+    const departureMs = departure.getTime();
+    let time = departureMs;
+    const loads = getLoadProfile(order);
+    
+    const stops = order.map((destination, i) => {
+        const leg = route.legs[i];
+        const arrival = time + leg.duration * 1000;
+        const window = getTimeWindowOffsets(destination, departure);
+        
+        let serviceStart = arrival;
+        let late = 0;
+        if (window) {
+            serviceStart = Math.max(arrival, departureMs + window.earliest * 1000);
+            late = Math.max(0, (arrival - departureMs) / 1000 - window.latest);
+        }
+        
+        const dwell = getDwellSeconds(destination);
+        time = serviceStart + dwell * 1000;
+        
+        return {
+            destination,
+            leg,
+            arrival: new Date(arrival),
+            departure: new Date(time),
+            wait: (serviceStart - arrival) / 1000,
+            dwell,
+            late,
+            load: loads.stops[i]
+        };
+    });
+    
+    // Any leg after the last stop is the drive back to the start
+    const returnLeg = route.legs[order.length];
+    const end = returnLeg ? { leg: returnLeg, arrival: new Date(time + returnLeg.duration * 1000) } : null;
+    
+    return {
+        departure,
+        finish: end ? end.arrival : new Date(time),
+        totalWait: stops.reduce((sum, entry) => sum + entry.wait, 0),
+        totalDwell: stops.reduce((sum, entry) => sum + entry.dwell, 0),
+        startLoad: loads.start,
+        hasLoads: order.some(d => d.load !== 0),
+        stops,
+        end
+    };
+}
+
+// ===================================
+// Display Results
+// ===================================
+
+/**
+ * Show the optimized routes: one plan per vehicle (a single plan for a normal trip).
+ * @param {Array<object>} plans - Route plans from createRoutePlan
+ * @param {?object} originalRoute - Route in the typed order, for the "Time Saved" stat (single vehicle only)
+ * @param {boolean} restored - Showing a saved result: skip the scroll and "optimized" toast
+ */
+function displayResults(plans, originalRoute = null, restored = false) {
+    // Show results section
+    elements.resultsSection.style.display = 'block';
+    
+    const routedPlans = plans.filter(plan => plan.route);
+    
+    // Check if using fallback/estimated route
+    const isEstimated = routedPlans.some(plan => plan.route.isFallback) ||
+        Boolean(originalRoute && originalRoute.isFallback);
+    const estimateSuffix = isEstimated ? ' (est.)' : '';
+    
+    // Totals across every vehicle
+    const totalDuration = routedPlans.reduce((sum, plan) => sum + plan.route.duration, 0);
+    const totalDistance = routedPlans.reduce((sum, plan) => sum + plan.route.distance, 0);
+    const totalDwell = routedPlans.reduce((sum, plan) => sum + plan.timeline.totalDwell + plan.timeline.totalWait, 0);
+    const finish = new Date(Math.max(...routedPlans.map(plan => plan.timeline.finish.getTime())));
+    
+    // Update stats
+    elements.optimizedTime.textContent = formatDuration(totalDuration) + estimateSuffix;
+    elements.totalDistance.textContent = formatDistance(totalDistance) + estimateSuffix;
+    
+    if (originalRoute) {
+        // The chosen order can drive longer than the typed one, to keep to time
+        // windows or after a run was re-optimized on the road; say so rather than hide it
+        const saved = originalRoute.duration - totalDuration;
+        elements.timeSavedLabel.textContent = saved >= 0 ? 'Time Saved' : 'Extra Driving';
+        elements.timeSaved.textContent = (saved >= 0 ? '' : '+') + formatDuration(Math.abs(saved)) + estimateSuffix;
+    } else {
+        elements.timeSavedLabel.textContent = 'Longest Route';
+        elements.timeSaved.textContent = formatDuration(Math.max(...routedPlans.map(plan => plan.route.duration))) + estimateSuffix;
+    }
+    
+    // Time on the road vs. at stops (waiting for a window counts as at the stop), and when the day ends
+    elements.drivingTotal.textContent = formatDuration(totalDuration) + estimateSuffix;
+    elements.dwellTotal.textContent = formatDuration(totalDwell);
+    elements.finishTime.textContent = formatClockTime(finish) + estimateSuffix;
+    
+    // One order list for a single vehicle, a card per vehicle otherwise
+    if (plans.length === 1) {
+        elements.optimizedOrderList.style.display = '';
+        elements.openInMapsBtn.style.display = '';
+        elements.startRunBtn.style.display = plans[0].route ? '' : 'none';
+        elements.vehicleRoutes.style.display = 'none';
+        renderRouteStops(elements.optimizedOrderList, plans[0]);
+    } else {
+        elements.optimizedOrderList.style.display = 'none';
+        elements.openInMapsBtn.style.display = 'none';
+        elements.startRunBtn.style.display = 'none';
+        elements.vehicleRoutes.style.display = 'block';
+        elements.vehicleRoutes.innerHTML = '';
+        plans.forEach(plan => {
+            elements.vehicleRoutes.appendChild(createVehicleRouteElement(plan, estimateSuffix));
+        });
+    }
+    
+    // Summarize any stops that can't be reached in their window, and shifts that run over
+    const lateStops = routedPlans.flatMap(plan => plan.timeline.stops.filter(entry => entry.late > 0));
+    const overtimePlans = plans.filter(plan => plan.overtime > 0);
+    const warnings = [];
+    if (lateStops.length > 0) {
+        warnings.push(`⚠️ ${lateStops.length} ${lateStops.length === 1 ? 'stop' : 'stops'} can't be reached in time: ` +
+            lateStops.map(entry =>
+                `${truncateAddress(entry.destination.address)} (${formatDuration(entry.late)} late)`
+            ).join(', '));
+    }
+    if (overtimePlans.length > 0) {
+        warnings.push('⚠️ Over the time limit: ' +
+            overtimePlans.map(plan => `${plan.name || 'Trip'} (${formatDuration(plan.overtime)} over)`).join(', '));
+    }
+    // Truck routes that came from OSRM or straight lines instead of Valhalla's truck costing
+    const unrestrictedPlans = routedPlans.filter(plan => plan.route.ignoresRestrictions);
+    if (unrestrictedPlans.length > 0) {
+        const routes = plans.length === 1 ? 'this route' : unrestrictedPlans.map(plan => plan.name).join(', ');
+        warnings.push(`⚠️ Truck restrictions not checked for ${routes}: the truck router was unavailable, ` +
+            'so it may use low bridges or weight-limited roads');
+    }
+    if (warnings.length > 0) {
+        elements.scheduleWarning.textContent = warnings.join('\n');
+        elements.scheduleWarning.style.display = 'block';
+    } else {
+        elements.scheduleWarning.style.display = 'none';
+    }
+    
+    // List optional stops that were left out, so they can roll over to another day
+    const skipped = plans.flatMap(plan => plan.skipped);
+    elements.skippedStopsList.innerHTML = '';
+    skipped.forEach(({ destination, reason }) => {
+        const li = document.createElement('li');
+        li.textContent = truncateAddress(destination.address);
+        li.appendChild(createStopMeta([reason, `value ${destination.priority}`]));
+        elements.skippedStopsList.appendChild(li);
+    });
+    elements.skippedStops.style.display = skipped.length > 0 ? 'block' : 'none';
+    
+    // How much of this optimization was answered from the device (not for restored results)
+    if (!restored && responseCacheStats.hits > 0) {
+        elements.cacheSummary.textContent = `💾 ${responseCacheStats.hits} of ${responseCacheStats.lookups} lookups came from the cache on this device`;
+        elements.cacheSummary.style.display = 'block';
+    } else {
+        elements.cacheSummary.style.display = 'none';
+    }
+    
+    // Update map
+    displayMap(plans);
+    renderDirections(plans);
+    
+    // A new result replaces the plan being driven
+    if (!restored && state.run) {
+        stopRun();
+    }
+    
+    // Store for navigation handoff, export and saving
+    state.routePlans = plans;
+    state.originalRoute = originalRoute;
+    scheduleAutosave();
+    
+    if (restored) {
+        return;
+    }
+    
+    // Scroll to results
+    elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
+    
+    // Show appropriate toast message
+    if (lateStops.length > 0) {
+        showToast(`Route optimized, but ${lateStops.length} ${lateStops.length === 1 ? 'stop misses its' : 'stops miss their'} time window`, 'warning');
+    } else if (overtimePlans.length > 0) {
+        showToast(plans.length === 1
+            ? 'Route optimized, but the required stops run over the time limit'
+            : `Routes optimized, but ${overtimePlans.length} ${overtimePlans.length === 1 ? 'vehicle runs' : 'vehicles run'} over the time limit`, 'warning');
+    } else if (skipped.length > 0) {
+        showToast(`Route optimized - ${skipped.length} optional ${skipped.length === 1 ? 'stop' : 'stops'} skipped`, 'warning');
+    } else if (unrestrictedPlans.length > 0) {
+        showToast('Route optimized, but truck restrictions could not be checked', 'warning');
+    } else if (isEstimated) {
+        showToast('Route optimized (estimated times - check Google Maps for accuracy)', 'warning');
+    } else {
+        showToast('Route optimized!', 'success');
+    }
+}
+
+// Bold "Start:"/"End:" label; the address after it goes in as text, never markup
+function createStopLabel(text) {
+    const label = document.createElement('strong');
+    label.textContent = text;
+    return label;
+}
+
+// Fill an order list with a plan's start, stops and end, with clock times
+function renderRouteStops(list, plan) {
+    const timeline = plan.timeline;
+    list.innerHTML = '';
+    
+    // Add start location
+    const startItem = document.createElement('li');
+    startItem.append(createStopLabel('Start:'), ` ${truncateAddress(plan.start.address)}`);
+    if (timeline) {
+        const startParts = [`Depart ${formatClockTime(timeline.departure)}`];
+        if (timeline.hasLoads) {
+            startParts.push(formatLoad(timeline.startLoad));
+        }
+        startItem.appendChild(createStopMeta(startParts));
+    }
+    list.appendChild(startItem);
+    
+    if (!timeline) {
+        return;
+    }
+    
+    // Add destinations
+    timeline.stops.forEach(entry => {
+        const dest = entry.destination;
+        const li = document.createElement('li');
+        li.className = dest.locked ? 'locked' : '';
+        const address = truncateAddress(dest.address || dest.location.address);
+        li.textContent = dest.name ? `${dest.name} · ${address}` : address;
+        li.prepend(createProofButton(dest));
+        
+        const metaParts = [
+            entry.dwell > 0 || entry.wait > 0
+                ? `${formatClockTime(entry.arrival)} → ${formatClockTime(entry.departure)}`
+                : `Arrive ${formatClockTime(entry.arrival)}`,
+            formatLeg(entry.leg)
+        ];
+        if (dest.earliest || dest.latest) {
+            metaParts.push(`window ${formatTimeWindow(dest)}`);
+        }
+        if (timeline.hasLoads) {
+            metaParts.push(formatLoad(entry.load));
+        }
+        if (entry.late > 0) {
+            li.classList.add('late');
+            metaParts.push(`⚠️ ${formatDuration(entry.late)} late`);
+        }
+        li.appendChild(createStopMeta(metaParts));
+        
+        list.appendChild(li);
+    });
+    
+    // Add the end of the route, back at the start or elsewhere
+    if (plan.end && timeline.end) {
+        const endItem = document.createElement('li');
+        endItem.className = 'locked';
+        endItem.append(
+            createStopLabel(plan.end === plan.start ? 'Return:' : 'End:'),
+            ` ${truncateAddress(plan.end.address)}`
+        );
+        endItem.appendChild(createStopMeta([
+            `Arrive ${formatClockTime(timeline.end.arrival)}`,
+            formatLeg(timeline.end.leg)
+        ]));
+        list.appendChild(endItem);
+    }
+}
+
+// Result card for one vehicle of a multi-vehicle trip
+function createVehicleRouteElement(plan, estimateSuffix) {
+    const card = document.createElement('div');
+    card.className = 'vehicle-route';
+    
+    card.innerHTML = `
+        <div class="vehicle-route-header">
+            <span class="vehicle-color"></span>
+            <h3 class="vehicle-route-name"></h3>
+        </div>
+        <div class="vehicle-route-summary"></div>
+        <ol class="order-list"></ol>
+    `;
+    
+    card.querySelector('.vehicle-color').style.background = plan.color;
+    card.querySelector('.vehicle-route-name').textContent = plan.name;
+    
+    const summary = card.querySelector('.vehicle-route-summary');
+    if (plan.route) {
+        const parts = [
+            `🚗 ${formatDuration(plan.route.duration)}${estimateSuffix}`,
+            formatDistance(plan.route.distance),
+            `${plan.order.length} ${plan.order.length === 1 ? 'stop' : 'stops'}`,
+            `🏁 ${formatClockTime(plan.timeline.finish)}`
+        ];
+        if (plan.overtime > 0) {
+            parts.push(`⚠️ ${formatDuration(plan.overtime)} over shift`);
+            card.classList.add('overtime');
+        }
+        summary.textContent = parts.join(' · ');
+    } else {
+        summary.textContent = 'No stops assigned';
+    }
+    
+    renderRouteStops(card.querySelector('.order-list'), plan);
+    
+    if (plan.route) {
+        const mapsBtn = document.createElement('button');
+        mapsBtn.className = 'btn btn-small btn-success';
+        mapsBtn.innerHTML = '<span class="icon">🗺️</span> <span class="navigation-app-label"></span>';
+        mapsBtn.querySelector('.navigation-app-label').textContent = `Open in ${NAVIGATION_APPS[state.navigationApp].name}`;
+        
+        const legs = document.createElement('div');
+        legs.className = 'navigation-legs';
+        legs.style.display = 'none';
+        
+        mapsBtn.addEventListener('click', () => openInNavigationApp(plan, legs));
+        card.appendChild(mapsBtn);
+        card.appendChild(legs);
+        
+        const runBtn = document.createElement('button');
+        runBtn.className = 'btn btn-small btn-primary';
+        runBtn.innerHTML = '<span class="icon">🚚</span> Start run';
+        runBtn.addEventListener('click', () => startRun(state.routePlans.indexOf(plan)));
+        card.appendChild(runBtn);
+    }
+    
+    return card;
+}
+
+// Secondary line under an order list item
+function createStopMeta(parts) {
+    const meta = document.createElement('div');
+    meta.className = 'stop-meta';
+    meta.textContent = parts.join(' · ');
+    return meta;
+}
+
+// Drive time and distance of one leg, e.g. "🚗 12 min, 4.2 mi"
+function formatLeg(leg) {
+    return `🚗 ${formatDuration(leg.duration)}, ${formatDistance(leg.distance)}`;
+}
+
+// Load on board after a stop, e.g. "📦 3 on board"
+function formatLoad(load) {
+    return `📦 ${load} on board`;
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    return `${minutes} min`;
+}
+
+function formatDistance(meters) {
+    const miles = meters / 1609.344;
+    if (miles < 0.1) {
+        const feet = meters * 3.28084;
+        return `${Math.round(feet)} ft`;
+    }
+    return `${miles.toFixed(1)} mi`;
+}
+
+function truncateAddress(address) {
+    if (address.length > 50) {
+        return address.substring(0, 47) + '...';
+    }
+    return address;
+}
+
+// ===================================
+// Map Display
+// ===================================
+
+function displayMap(plans) {
+    // Check if Leaflet is loaded
+    if (typeof L === 'undefined') {
+        console.warn('Leaflet library not loaded. Map display skipped.');
+        document.getElementById('map').innerHTML = '<div class="map-loading-message">📍 Map loading... If this persists, please check your internet connection.</div>';
+        return;
+    }
+    
+    // Initialize map if not exists
+    if (!state.map) {
+        state.map = L.map('map');
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors'
+        }).addTo(state.map);
+        
+        state.routeLayer = L.layerGroup().addTo(state.map);
+        state.markersLayer = L.layerGroup().addTo(state.map);
+    }
+    
+    // Clear existing layers
+    state.routeLayer.clearLayers();
+    state.markersLayer.clearLayers();
+    
+    const bounds = L.latLngBounds();
+    const isFleet = plans.length > 1;
+    
+    // Add markers, with clock times when we have a timeline
+    const stopTimes = entry => (entry.dwell > 0 || entry.wait > 0
+        ? `${formatClockTime(entry.arrival)}–${formatClockTime(entry.departure)}`
+        : formatClockTime(entry.arrival));
+    const withTime = (label, time) => (time ? `${label} · ${time}` : label);
+    
+    plans.forEach((plan, p) => {
+        const timeline = plan.timeline;
+        
+        // Add route line
+        const geometry = plan.route && plan.route.geometry;
+        if (geometry && geometry.coordinates) {
+            const routeLine = L.geoJSON(geometry, {
+                style: {
+                    color: plan.color,
+                    weight: 4,
+                    opacity: 0.8
+                }
+            });
+            state.routeLayer.addLayer(routeLine);
+        }
+        
+        // Vehicles sharing a depot would stack their start markers; draw it once
+        const sharesStart = plans.slice(0, p).some(other => other.start === plan.start);
+        const sharesEnd = plans.slice(0, p).some(other => other.end === plan.end);
+        
+        // Stop labels are prefixed with the vehicle number in a fleet, e.g. "2.3"
+        const stopLabel = i => (isFleet ? `${p + 1}.${i + 1}` : String(i + 1));
+        
+        const allPoints = [
+            ...(sharesStart ? [] : [{
+                ...plan.start,
+                label: withTime('Start', !isFleet && timeline && formatClockTime(timeline.departure)),
+                isStart: true
+            }]),
+            ...plan.order.map((d, i) => ({
+                ...d.location,
+                label: withTime(stopLabel(i), timeline && stopTimes(timeline.stops[i])),
+                locked: d.locked
+            })),
+            ...(plan.end && !sharesEnd ? [{
+                ...plan.end,
+                label: withTime('End', !isFleet && timeline && timeline.end && formatClockTime(timeline.end.arrival)),
+                isEnd: true
+            }] : [])
+        ];
+        
+        allPoints.forEach(point => {
+            let color = isFleet ? plan.color : point.locked ? '#F39C12' : '#27AE60';
+            if (point.isStart || point.isEnd) {
+                color = '#4A90D9';
+            }
+            
+            const marker = L.circleMarker([point.lat, point.lng], {
+                radius: 12,
+                fillColor: color,
+                color: '#fff',
+                weight: 2,
+                fillOpacity: 1
+            });
+            
+            marker.bindTooltip(point.label, {
+                permanent: true,
+                direction: 'center',
+                className: 'marker-label'
+            });
+            
+            state.markersLayer.addLayer(marker);
+            bounds.extend([point.lat, point.lng]);
+        });
+    });
+    
+    // Fit map to bounds
+    state.map.fitBounds(bounds, { padding: [30, 30] });
+}
+
+// ===================================
+// Turn-by-Turn Directions
+// ===================================
+
+// Zoom level when jumping to a maneuver
+const DIRECTIONS_ZOOM = 17;
+
+/**
+ * Fill the collapsible directions panel, one collapsible group per leg. Estimated
+ * routes (and routes saved before directions were kept) have no steps, so the
+ * panel stays hidden for them.
+ * @param {Array<object>} plans - Route plans from createRoutePlan
+ */
+function renderDirections(plans) {
+    const routed = plans.filter(plan => plan.route && plan.route.legs.some(leg => leg.steps && leg.steps.length > 0));
+    elements.directionsPanel.style.display = routed.length > 0 ? '' : 'none';
+    elements.directionsList.innerHTML = '';
+    
+    routed.forEach(plan => {
+        if (plans.length > 1) {
+            const heading = document.createElement('h3');
+            heading.className = 'directions-vehicle';
+            heading.textContent = plan.name;
+            heading.style.borderColor = plan.color;
+            elements.directionsList.appendChild(heading);
+        }
+        
+        const names = [
+            'Start',
+            ...plan.order.map((d, i) => `${i + 1}. ${d.name || truncateAddress(d.address || d.location.address)}`),
+            plan.end === plan.start ? 'Return' : 'End'
+        ];
+        
+        plan.route.legs.forEach((leg, i) => {
+            elements.directionsList.appendChild(createDirectionsLeg(leg, `${names[i]} → ${names[i + 1]}`));
+        });
+    });
+}
+
+function createDirectionsLeg(leg, title) {
+    const group = document.createElement('details');
+    group.className = 'directions-leg';
+    group.innerHTML = `
+        <summary>
+            <span class="directions-leg-title"></span>
+            <span class="stop-meta"></span>
+        </summary>
+        <ol class="directions-steps"></ol>
+    `;
+    group.querySelector('.directions-leg-title').textContent = title;
+    group.querySelector('.stop-meta').textContent = formatLeg(leg);
+    
+    const list = group.querySelector('.directions-steps');
+    (leg.steps || []).forEach(step => {
+        const item = document.createElement('li');
+        item.innerHTML = '<span class="directions-instruction"></span><span class="directions-distance"></span>';
+        item.querySelector('.directions-instruction').textContent = step.instruction;
+        item.querySelector('.directions-distance').textContent = step.distance > 0 ? formatDistance(step.distance) : '';
+        
+        if (step.location) {
+            item.classList.add('zoomable');
+            item.addEventListener('click', () => showManeuver(step));
+        }
+        list.appendChild(item);
+    });
+    
+    return group;
+}
+
+// Zoom the results map to a maneuver and label it
+function showManeuver(step) {
+    if (!state.map) {
+        return;
+    }
+    
+    const [lng, lat] = step.location;
+    state.map.setView([lat, lng], DIRECTIONS_ZOOM);
+    
+    // Instructions come from the routing server; show them as text, never as markup
+    const content = document.createElement('span');
+    content.textContent = step.instruction;
+    L.popup()
+        .setLatLng([lat, lng])
+        .setContent(content)
+        .openOn(state.map);
+    document.getElementById('map').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// ===================================
+// Run Mode
+// ===================================
+
+// How often the drive to the next stop is re-estimated from the GPS position
+const RUN_ETA_REFRESH_MS = 60000;
+
+// Marks for stop statuses in the run list
+const RUN_STATUS_ICONS = { pending: '', done: '✅', skipped: '⏭️' };
+
+/**
+ * Start driving a plan: follow the GPS position, highlight the next stop and
+ * keep ETAs for the rest up to date as stops are marked done or skipped.
+ * @param {number} planIndex - Index into state.routePlans
+ */
+function startRun(planIndex) {
+    const plan = state.routePlans && state.routePlans[planIndex];
+    if (!plan || !plan.route || plan.order.length === 0) {
+        showToast('Please optimize route first', 'error');
+        return;
+    }
+    
+    stopRun();
+    state.run = {
+        planIndex,
+        stops: plan.order.map(destination => ({ destination, status: 'pending', time: null })),
+        position: null,
+        nextLeg: null, // Road estimate from the position to the next stop: {id, duration, at}
+        isRefreshingLeg: false,
+        watchId: null,
+        positionMarker: null
+    };
+    watchRunPosition();
+    renderRun();
+    scheduleAutosave();
+    elements.runPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Continue a saved run after a reload
+function resumeRun(savedRun) {
+    const plan = state.routePlans[savedRun.planIndex];
+    const byId = new Map(state.destinations.map(d => [d.id, d]));
+    if (!plan || !savedRun.stops.every(entry => byId.has(entry.id))) {
+        return;
+    }
+    
+    state.run = {
+        planIndex: savedRun.planIndex,
+        stops: savedRun.stops.map(({ id, status, time }) => ({
+            destination: byId.get(id),
+            status,
+            time: time ? new Date(time) : null
+        })),
+        position: null,
+        nextLeg: null,
+        isRefreshingLeg: false,
+        watchId: null,
+        positionMarker: null
+    };
+    watchRunPosition();
+    renderRun();
+}
+
+function stopRun() {
+    const run = state.run;
+    if (!run) {
+        return;
+    }
+    
+    if (run.watchId !== null) {
+        navigator.geolocation.clearWatch(run.watchId);
+    }
+    if (run.positionMarker) {
+        run.positionMarker.remove();
+    }
+    state.run = null;
+    elements.runPanel.style.display = 'none';
+}
+
+function watchRunPosition() {
+    const run = state.run;
+    if (!navigator.geolocation) {
+        elements.runGpsStatus.textContent = '📍 GPS not available - ETAs follow the plan';
+        return;
+    }
+    
+    run.watchId = navigator.geolocation.watchPosition(
+        position => {
+            // Ignore fixes for a run that has since been stopped or replaced
+            if (state.run !== run) return;
+            
+            run.position = {
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            };
+            showRunPosition();
+            refreshNextLeg();
+            renderRun();
+        },
+        error => {
+            if (state.run !== run) return;
+            console.warn('Run mode position error:', error);
+            elements.runGpsStatus.textContent = error.code === error.PERMISSION_DENIED
+                ? '📍 Location denied - ETAs follow the plan'
+                : '📍 Waiting for GPS...';
+        },
+        { enableHighAccuracy: true, maximumAge: 10000, timeout: 30000 }
+    );
+}
+
+// Current position on the results map
+function showRunPosition() {
+    const run = state.run;
+    if (!state.map || typeof L === 'undefined') {
+        return;
+    }
+    
+    const latLng = [run.position.lat, run.position.lng];
+    if (!run.positionMarker) {
+        run.positionMarker = L.circleMarker(latLng, {
+            radius: 8,
+            fillColor: '#0A84FF',
+            color: '#fff',
+            weight: 3,
+            fillOpacity: 1
+        }).addTo(state.map);
+    } else {
+        run.positionMarker.setLatLng(latLng);
+    }
+}
+
+function getRunPlan() {
+    return state.routePlans[state.run.planIndex];
+}
+
+function getPendingRunStops() {
+    return state.run.stops.filter(entry => entry.status === 'pending');
+}
+
+// Re-estimate the drive from the GPS position to the next stop, at most once a minute per stop
+async function refreshNextLeg() {
+    const run = state.run;
+    const next = getPendingRunStops()[0];
+    if (!run.position || !next || run.isRefreshingLeg) {
+        return;
+    }
+    
+    const current = run.nextLeg;
+    if (current && current.id === next.destination.id && Date.now() - current.at < RUN_ETA_REFRESH_MS) {
+        return;
+    }
+    
+    run.isRefreshingLeg = true;
+    try {
+        const { lat, lng } = next.destination.location;
+        // Every GPS fix is a new origin, so these aren't worth caching
+        const estimate = await estimateDrivingTime(run.position.lat, run.position.lng, lat, lng, { cache: false });
+        run.nextLeg = { id: next.destination.id, duration: estimate.duration, at: Date.now() };
+    } catch (error) {
+        // Callers don't wait for this; the ETAs keep their previous estimate
+        console.warn('Could not refresh the next leg:', error);
+        return;
+    } finally {
+        run.isRefreshingLeg = false;
+    }
+    
+    if (state.run === run) {
+        renderRun();
+    }
+}
+
+/**
+ * ETAs for the stops still to visit, from now. The first leg comes from the GPS
+ * position when there is one; later legs reuse the plan's road times where the
+ * stops are still consecutive and straight-line estimates otherwise.
+ * @returns {Map<object, {arrival: Date, late: number}>} By destination
+ */
+function getRunEtas() {
+    const plan = getRunPlan();
+    const run = state.run;
+    const etas = new Map();
+    
+    const visited = run.stops.filter(entry => entry.status !== 'pending');
+    let previous = visited.length > 0 ? visited[visited.length - 1].destination : null;
+    let from = run.position || (previous ? previous.location : plan.start);
+    let time = Date.now();
+    
+    getPendingRunStops().forEach((entry, i) => {
+        const dest = entry.destination;
+        const planIndex = plan.order.indexOf(dest);
+        
+        // Plan legs only hold while we drive them from their start
+        const fromGps = i === 0 && run.position;
+        const followsPlan = planIndex === 0 ? previous === null : plan.order[planIndex - 1] === previous;
+        
+        let seconds;
+        if (fromGps && run.nextLeg && run.nextLeg.id === dest.id) {
+            seconds = run.nextLeg.duration;
+        } else if (!fromGps && followsPlan) {
+            seconds = plan.timeline.stops[planIndex].leg.duration;
+        } else {
+            seconds = calculateDistance(from.lat, from.lng, dest.location.lat, dest.location.lng) /
+                getRoutingProfile().fallbackSpeedKmh * 3600;
+        }
+        
+        const arrival = time + seconds * 1000;
+        let serviceStart = arrival;
+        let late = 0;
+        const window = getTimeWindowOffsets(dest, plan.departure);
+        if (window) {
+            const departureMs = plan.departure.getTime();
+            serviceStart = Math.max(arrival, departureMs + window.earliest * 1000);
+            late = Math.max(0, (arrival - departureMs) / 1000 - window.latest);
+        }
+        
+        etas.set(dest, { arrival: new Date(arrival), late });
+        time = serviceStart + getDwellSeconds(dest) * 1000;
+        previous = dest;
+        from = dest.location;
+    });
+    
+    return etas;
+}
+
+function renderRun() {
+    const run = state.run;
+    const plan = getRunPlan();
+    const pending = getPendingRunStops();
+    const etas = getRunEtas();
+    
+    elements.runPanel.style.display = 'block';
+    elements.runTitle.textContent = plan.name ? `🚚 Run mode · ${plan.name}` : '🚚 Run mode';
+    if (run.position) {
+        elements.runGpsStatus.textContent = `📍 GPS ±${Math.round(run.position.accuracy)} m`;
+    } else if (navigator.geolocation) {
+        elements.runGpsStatus.textContent = '📍 Waiting for GPS...';
+    }
+    elements.reoptimizeRunBtn.disabled = pending.length < 2;
+    
+    // Next stop card
+    elements.runNext.innerHTML = '';
+    const next = pending[0];
+    if (next) {
+        const dest = next.destination;
+        const eta = etas.get(dest);
+        elements.runNext.innerHTML = `
+            <div class="run-next-label">Next stop</div>
+            <div class="run-next-name"></div>
+            <div class="stop-meta"></div>
+            <div class="run-next-actions">
+                <button class="btn btn-small btn-success" data-action="done">✓ Done</button>
+                <button class="btn btn-small btn-secondary" data-action="skipped">Skip</button>
+                <button class="btn btn-small btn-secondary" data-action="navigate">🧭 Navigate</button>
+                <button class="btn btn-small btn-secondary" data-action="proof">📎 Proof</button>
+            </div>
+        `;
+        elements.runNext.querySelector('.run-next-name').textContent = describeRunStop(dest);
+        
+        const metaParts = [`ETA ${formatClockTime(eta.arrival)}`];
+        if (run.position) {
+            metaParts.push(formatDistance(calculateDistance(run.position.lat, run.position.lng, dest.location.lat, dest.location.lng) * 1000) + ' away');
+        }
+        if (eta.late > 0) metaParts.push(`⚠️ ${formatDuration(eta.late)} late`);
+        if (dest.notes) metaParts.push(dest.notes);
+        elements.runNext.querySelector('.stop-meta').textContent = metaParts.join(' · ');
+        
+        elements.runNext.querySelector('[data-action="done"]').addEventListener('click', () => setRunStopStatus(next, 'done'));
+        elements.runNext.querySelector('[data-action="skipped"]').addEventListener('click', () => setRunStopStatus(next, 'skipped'));
+        elements.runNext.querySelector('[data-action="navigate"]').addEventListener('click', () => navigateToRunStop(dest));
+        elements.runNext.querySelector('[data-action="proof"]').addEventListener('click', () => openProofDialog(dest));
+    } else {
+        elements.runNext.innerHTML = '<div class="run-next-name">🏁 All stops visited</div>';
+    }
+    
+    // Every stop in run order with its status or updated ETA
+    elements.runStopsList.innerHTML = '';
+    run.stops.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = `run-stop ${entry.status}${entry === next ? ' next' : ''}`;
+        li.innerHTML = '<span class="run-stop-text"></span><span class="run-stop-actions"></span>';
+        li.querySelector('.run-stop-text').textContent = `${RUN_STATUS_ICONS[entry.status]} ${describeRunStop(entry.destination)}`.trim();
+        
+        const eta = etas.get(entry.destination);
+        const meta = entry.status === 'pending'
+            ? [`ETA ${formatClockTime(eta.arrival)}`, ...(eta.late > 0 ? [`⚠️ ${formatDuration(eta.late)} late`] : [])]
+            : [`${entry.status === 'done' ? 'Done' : 'Skipped'} ${formatClockTime(entry.time)}`];
+        li.querySelector('.run-stop-text').appendChild(createStopMeta(meta));
+        
+        const actions = li.querySelector('.run-stop-actions');
+        const addAction = (label, title, status) => {
+            const button = document.createElement('button');
+            button.className = 'run-stop-btn';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', () => setRunStopStatus(entry, status));
+            actions.appendChild(button);
+        };
+        if (entry.status === 'pending') {
+            addAction('✓', 'Mark done', 'done');
+            addAction('⏭', 'Skip', 'skipped');
+        } else {
+            addAction('↺', 'Back to the list', 'pending');
+        }
+        
+        elements.runStopsList.appendChild(li);
+    });
+}
+
+function describeRunStop(destination) {
+    const address = truncateAddress(destination.address || destination.location.address);
+    return destination.name ? `${destination.name} · ${address}` : address;
+}
+
+function setRunStopStatus(entry, status) {
+    entry.status = status;
+    entry.time = status === 'pending' ? null : new Date();
+    
+    // The next stop may have changed
+    state.run.nextLeg = null;
+    refreshNextLeg();
+    renderRun();
+    scheduleAutosave();
+    
+    if (getPendingRunStops().length === 0) {
+        showToast('All stops visited 🎉', 'success');
+    }
+}
+
+// Hand the drive from here to one stop to the preferred navigation app
+function navigateToRunStop(destination) {
+    const run = state.run;
+    const from = run.position || getRunPlan().start;
+    const app = NAVIGATION_APPS[state.navigationApp];
+    openNavigationLeg(app, [
+        { lat: from.lat, lng: from.lng, label: 'Current position' },
+        { lat: destination.location.lat, lng: destination.location.lng, label: describeRunStop(destination) }
+    ]);
+}
+
+/**
+ * Reorder the stops still to visit from the current position (or the last stop
+ * visited). Done and skipped stops stay at the front of the plan, in the order
+ * they were visited, with the new order after them.
+ */
+async function reoptimizeRemaining() {
+    const run = state.run;
+    const plan = getRunPlan();
+    const pending = getPendingRunStops();
+    if (pending.length < 2) {
+        return;
+    }
+    
+    const visited = run.stops.filter(entry => entry.status !== 'pending');
+    const lastVisited = visited.length > 0 ? visited[visited.length - 1].destination.location : null;
+    const from = run.position || lastVisited || plan.start;
+    const start = { address: run.position ? 'Current position' : from.address, lat: from.lat, lng: from.lng };
+    
+    elements.reoptimizeRunBtn.disabled = true;
+    showToast('Re-optimizing remaining stops...', 'success');
+    
+    try {
+        const destinations = pending.map(entry => entry.destination);
+        
+        // What's on board now: the plan's start load plus what the done stops loaded
+        // and unloaded, less what the pending deliveries without a pending pickup carry
+        const onBoard = visited.reduce((sum, entry) =>
+            (entry.status === 'done' ? sum + entry.destination.load : sum), getLoadProfile(plan.order).start);
+        const carriedLoad = onBoard - getLoadProfile(destinations).start;
+        
+        // Plans are made in vehicle order
+        const vehicle = state.vehicles[run.planIndex];
+        const truck = vehicle ? vehicle.truck : null;
+        const { order } = await findOptimalOrder(start, destinations, {
+            end: plan.end,
+            departure: new Date(),
+            capacity: state.vehicleCapacity,
+            maxDuration: Infinity,
+            truck,
+            carriedLoad
+        });
+        
+        // The plan still covers the whole day, so the results, exports and proofs keep the visited stops
+        const fullOrder = [...visited.map(entry => entry.destination), ...order];
+        const route = await calculateRoute([
+            plan.start,
+            ...fullOrder.map(d => d.location),
+            ...(plan.end ? [plan.end] : [])
+        ], { truck });
+        
+        // The run may have been stopped while we waited
+        if (state.run !== run) return;
+        
+        const reordered = order.map(destination => pending.find(entry => entry.destination === destination));
+        run.stops = [...visited, ...reordered];
+        run.nextLeg = null;
+        
+        state.routePlans[run.planIndex] = createRoutePlan({
+            name: plan.name,
+            color: plan.color,
+            start: plan.start,
+            end: plan.end,
+            order: fullOrder,
+            route,
+            departure: plan.departure,
+            maxDuration: plan.maxDuration,
+            skipped: plan.skipped
+        });
+        displayResults(state.routePlans, state.originalRoute, true);
+        if (run.position) {
+            showRunPosition();
+        }
+        refreshNextLeg();
+        renderRun();
+        showToast('Remaining stops re-optimized', 'success');
+    } catch (error) {
+        console.error('Re-optimization error:', error);
+        showToast(error.message || 'Re-optimization failed', 'error');
+        elements.reoptimizeRunBtn.disabled = false;
+    }
+}
+
+// ===================================
+// Proof of Visit
+// ===================================
+
+// Photos are scaled down to this many pixels on the long side before storing
+const PROOF_PHOTO_MAX_SIZE = 1280;
+const PROOF_PHOTO_QUALITY = 0.7;
+
+// How long to wait for a GPS fix when stamping a proof
+const PROOF_POSITION_TIMEOUT_MS = 10000;
+
+// Stop whose proof the dialog is editing, and the photo/signature being edited
+let proofDestination = null;
+let proofPhoto = null;
+let hasSignature = false;
+
+// 📎 button on a result stop; ticked once a proof is captured
+function createProofButton(destination) {
+    const button = document.createElement('button');
+    button.className = `proof-btn${destination.proof ? ' has-proof' : ''}`;
+    button.textContent = destination.proof ? '✅' : '📎';
+    button.title = destination.proof ? 'Proof of visit captured' : 'Add proof of visit';
+    button.addEventListener('click', () => openProofDialog(destination));
+    return button;
+}
+
+function openProofDialog(destination) {
+    const proof = destination.proof;
+    proofDestination = destination;
+    
+    elements.proofTitle.textContent = `📎 ${destination.name || truncateAddress(destination.address || destination.location.address)}`;
+    elements.proofStamp.textContent = proof ? formatProofStamp(proof) : 'Time and GPS position are stamped when you save';
+    elements.proofNoteInput.value = proof ? proof.note : '';
+    elements.proofPhotoInput.value = '';
+    setProofPhoto(proof ? proof.photo : null);
+    
+    clearSignature();
+    if (proof && proof.signature) {
+        // Keep the saved signature unless it is cleared or drawn over
+        const image = new Image();
+        image.onload = () => elements.proofSignatureCanvas.getContext('2d').drawImage(image, 0, 0);
+        image.src = proof.signature;
+        hasSignature = true;
+    }
+    
+    elements.proofDialog.style.display = 'flex';
+}
+
+function closeProofDialog() {
+    elements.proofDialog.style.display = 'none';
+    proofDestination = null;
+    proofPhoto = null;
+}
+
+// e.g. "Captured 10:42 AM · 52.51234, 13.40123 (±8 m)"
+function formatProofStamp(proof) {
+    const parts = [`Captured ${formatClockTime(new Date(proof.time))}`];
+    if (proof.position) {
+        parts.push(`${proof.position.lat.toFixed(5)}, ${proof.position.lng.toFixed(5)} (±${Math.round(proof.position.accuracy)} m)`);
+    } else {
+        parts.push('no GPS position');
+    }
+    return parts.join(' · ');
+}
+
+function setProofPhoto(dataUrl) {
+    proofPhoto = dataUrl;
+    elements.proofPhotoPreview.src = dataUrl || '';
+    elements.proofPhotoPreview.style.display = dataUrl ? 'block' : 'none';
+    elements.proofPhotoRemoveBtn.style.display = dataUrl ? '' : 'none';
+}
+
+async function handleProofPhotoChange(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+        setProofPhoto(await downscaleImage(file, PROOF_PHOTO_MAX_SIZE, PROOF_PHOTO_QUALITY));
+    } catch (error) {
+        console.error('Could not read photo:', error);
+        showToast('Could not read that photo', 'error');
+    }
+}
+
+/**
+ * Shrink an image file to fit within maxSize pixels, as a JPEG data URL.
+ * @param {File} file - Image from the camera or file picker
+ * @param {number} maxSize - Longest side in pixels
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {Promise<string>}
+ */
+function downscaleImage(file, maxSize, quality) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', quality));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Not an image'));
+        };
+        image.src = url;
+    });
+}
+
+// Finger or mouse drawing on the signature canvas
+function setupSignaturePad(canvas) {
+    const context = canvas.getContext('2d');
+    let drawing = false;
+    
+    // Canvas pixels differ from CSS pixels when the canvas is scaled to fit
+    const toCanvasPoint = e => {
+        const rect = canvas.getBoundingClientRect();
+        return [
+            (e.clientX - rect.left) * canvas.width / rect.width,
+            (e.clientY - rect.top) * canvas.height / rect.height
+        ];
+    };
+    
+    canvas.addEventListener('pointerdown', e => {
+        drawing = true;
+        hasSignature = true;
+        canvas.setPointerCapture(e.pointerId);
+        context.lineWidth = 3;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.strokeStyle = '#111';
+        context.beginPath();
+        context.moveTo(...toCanvasPoint(e));
+    });
+    canvas.addEventListener('pointermove', e => {
+        if (!drawing) return;
+        context.lineTo(...toCanvasPoint(e));
+        context.stroke();
+    });
+    const stop = () => {
+        drawing = false;
+    };
+    canvas.addEventListener('pointerup', stop);
+    canvas.addEventListener('pointercancel', stop);
+}
+
+function clearSignature() {
+    const canvas = elements.proofSignatureCanvas;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    hasSignature = false;
+}
+
+// One GPS fix for stamping, or null if there isn't one in time
+function getProofPosition() {
+    if (state.run && state.run.position) {
+        return Promise.resolve(state.run.position);
+    }
+    if (!navigator.geolocation) {
+        return Promise.resolve(null);
+    }
+    
+    return new Promise(resolve => {
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            }),
+            () => resolve(null),
+            { enableHighAccuracy: true, maximumAge: 30000, timeout: PROOF_POSITION_TIMEOUT_MS }
+        );
+    });
+}
+
+/**
+ * Store the note, photo and signature on the stop, stamped with the time and GPS
+ * position. It is saved with the trip like any other stop detail.
+ */
+async function saveProof() {
+    const destination = proofDestination;
+    const note = elements.proofNoteInput.value.trim();
+    if (!note && !proofPhoto && !hasSignature) {
+        showToast('Add a note, photo or signature first', 'error');
+        return;
+    }
+    
+    elements.proofSaveBtn.disabled = true;
+    try {
+        destination.proof = {
+            note,
+            photo: proofPhoto,
+            signature: hasSignature ? elements.proofSignatureCanvas.toDataURL('image/png') : null,
+            time: new Date().toISOString(),
+            position: await getProofPosition()
+        };
+    } finally {
+        elements.proofSaveBtn.disabled = false;
+    }
+    
+    closeProofDialog();
+    
+    // Tick the stop in the result lists
+    if (state.routePlans) {
+        displayResults(state.routePlans, state.originalRoute, true);
+    }
+    if (state.run) {
+        renderRun();
+    }
+    scheduleAutosave();
+    showToast('Proof of visit saved', 'success');
+}
+
+// JSON bundle of every stop's proof of visit for the back office; photos and signatures are data URLs
+function buildProofBundle(plans) {
+    const stops = plans.flatMap(plan => plan.order.map((dest, i) => ({
+        vehicle: plan.name,
+        sequence: i + 1,
+        name: dest.name,
+        address: dest.address || dest.location.address,
+        location: { lat: dest.location.lat, lng: dest.location.lng },
+        notes: dest.notes,
+        proof: dest.proof
+    })));
+    
+    return JSON.stringify({
+        type: 'route-optimizer/proof-of-visit',
+        version: 1,
+        route: elements.routeNameInput.value.trim() || null,
+        exportedAt: new Date().toISOString(),
+        stops
+    }, null, 2);
+}
+
+// ===================================
+// Navigation Handoff
+// ===================================
+
+// Google Maps directions URLs take at most this many points between origin and destination
+const GOOGLE_MAPS_MAX_WAYPOINTS = 9;
+
+const NAVIGATION_APP_SETTING = 'navigationApp';
+
+// Apps a route can be handed to. maxStops is how many points after the origin one link can
+// carry; longer routes are split into consecutive legs.
+const NAVIGATION_APPS = {
+    google: { name: 'Google Maps', maxStops: GOOGLE_MAPS_MAX_WAYPOINTS + 1, buildUrl: buildGoogleMapsUrl },
+    apple: { name: 'Apple Maps', maxStops: 1, buildUrl: buildAppleMapsUrl },
+    waze: { name: 'Waze', maxStops: 1, buildUrl: buildWazeUrl },
+    osmand: { name: 'OsmAnd', maxStops: 1, buildUrl: buildOsmAndUrl },
+    geo: { name: 'your maps app', maxStops: 1, buildUrl: buildGeoUri }
+};
+
+async function loadNavigationApp() {
+    try {
+        const app = await getSetting(NAVIGATION_APP_SETTING);
+        if (app && NAVIGATION_APPS[app]) {
+            state.navigationApp = app;
+        }
+    } catch (error) {
+        console.warn('Could not load the preferred navigation app:', error);
+    }
+    elements.navigationAppSelect.value = state.navigationApp;
+    updateNavigationButtons();
+}
+
+function handleNavigationAppChange(e) {
+    state.navigationApp = e.target.value;
+    updateNavigationButtons();
+    saveSetting(NAVIGATION_APP_SETTING, state.navigationApp).catch(error => {
+        console.warn('Could not save the preferred navigation app:', error);
+    });
+}
+
+// Relabel the open buttons for the chosen app and drop leg lists built for the previous one
+function updateNavigationButtons() {
+    const label = `Open in ${NAVIGATION_APPS[state.navigationApp].name}`;
+    document.querySelectorAll('.navigation-app-label').forEach(span => {
+        span.textContent = label;
+    });
+    document.querySelectorAll('.navigation-legs').forEach(container => {
+        container.style.display = 'none';
+        container.innerHTML = '';
+    });
+}
+
+/**
+ * Split a plan into links the chosen app can open. Consecutive legs share their
+ * boundary point, so the end of one leg is the origin of the next.
+ * @param {object} plan - Route plan from createRoutePlan
+ * @param {number} maxStops - Points one link can carry after its origin
+ * @returns {Array<Array<{lat: number, lng: number, label: string}>>}
+ */
+function getNavigationLegs(plan, maxStops) {
+    const points = [
+        { lat: plan.start.lat, lng: plan.start.lng, label: 'Start' },
+        ...plan.order.map((d, i) => ({
+            lat: d.location.lat,
+            lng: d.location.lng,
+            label: `${i + 1}. ${d.name || truncateAddress(d.address || d.location.address)}`
+        }))
+    ];
+    if (plan.end) {
+        points.push({ lat: plan.end.lat, lng: plan.end.lng, label: plan.end === plan.start ? 'Return' : 'End' });
+    }
+    
+    const legs = [];
+    for (let i = 0; i < points.length - 1; i += maxStops) {
+        legs.push(points.slice(i, i + maxStops + 1));
+    }
+    return legs;
+}
+
+/**
+ * Hand a plan to the preferred navigation app. Routes too long for one link get
+ * a "Leg 1 of 3" button per leg in legsContainer instead.
+ * @param {?object} plan - Route plan from createRoutePlan
+ * @param {HTMLElement} legsContainer - Where to list the legs
+ */
+function openInNavigationApp(plan, legsContainer) {
+    if (!plan || plan.order.length === 0) {
+        showToast('Please optimize route first', 'error');
+        return;
+    }
+    
+    const app = NAVIGATION_APPS[state.navigationApp];
+    const legs = getNavigationLegs(plan, app.maxStops);
+    
+    if (legs.length === 1) {
+        openNavigationLeg(app, legs[0]);
+        return;
+    }
+    
+    legsContainer.innerHTML = '';
+    legs.forEach((leg, i) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-secondary navigation-leg';
+        button.innerHTML = '<span class="navigation-leg-title"></span><span class="stop-meta"></span>';
+        button.querySelector('.navigation-leg-title').textContent = `Leg ${i + 1} of ${legs.length}`;
+        button.querySelector('.stop-meta').textContent = `${leg[0].label} → ${leg[leg.length - 1].label}`;
+        button.addEventListener('click', () => {
+            button.classList.add('opened');
+            openNavigationLeg(app, leg);
+        });
+        legsContainer.appendChild(button);
+    });
+    legsContainer.style.display = '';
+    showToast(`Open the legs in turn - ${app.name} takes ${app.maxStops === 1 ? 'one stop' : `${app.maxStops} stops`} per link`, 'success');
+}
+
+function openNavigationLeg(app, leg) {
+    // Open in new tab - the navigation app shows live traffic
+    window.open(app.buildUrl(leg), '_blank');
+    showToast(`Opening ${app.name}...`, 'success');
+}
+
+function formatLatLng(point) {
+    return `${point.lat},${point.lng}`;
+}
+
+// The travel mode in each app's link format (Apple Maps links have no cycling flag)
+const NAVIGATION_TRAVEL_MODES = {
+    car: { google: 'driving', apple: 'd', osmand: 'car' },
+    bicycle: { google: 'bicycling', apple: null, osmand: 'bicycle' },
+    pedestrian: { google: 'walking', apple: 'w', osmand: 'pedestrian' },
+    truck: { google: 'driving', apple: 'd', osmand: 'truck' }
+};
+
+// https://developers.google.com/maps/documentation/urls/get-started#directions-action
+function buildGoogleMapsUrl(leg) {
+    const params = new URLSearchParams({
+        api: '1',
+        origin: formatLatLng(leg[0]),
+        destination: formatLatLng(leg[leg.length - 1]),
+        travelmode: NAVIGATION_TRAVEL_MODES[state.travelMode].google
+    });
+    const waypoints = leg.slice(1, -1).map(formatLatLng);
+    if (waypoints.length > 0) {
+        params.set('waypoints', waypoints.join('|'));
+    }
+    return `https://www.google.com/maps/dir/?${params}`;
+}
+
+function buildAppleMapsUrl(leg) {
+    const params = new URLSearchParams({
+        saddr: formatLatLng(leg[0]),
+        daddr: formatLatLng(leg[leg.length - 1])
+    });
+    const flag = NAVIGATION_TRAVEL_MODES[state.travelMode].apple;
+    if (flag) {
+        params.set('dirflg', flag);
+    }
+    return `https://maps.apple.com/?${params}`;
+}
+
+// Waze always navigates from the current position
+function buildWazeUrl(leg) {
+    return `https://waze.com/ul?ll=${formatLatLng(leg[leg.length - 1])}&navigate=yes`;
+}
+
+function buildOsmAndUrl(leg) {
+    return `https://osmand.net/map/navigate/?start=${formatLatLng(leg[0])}&end=${formatLatLng(leg[leg.length - 1])}&profile=${NAVIGATION_TRAVEL_MODES[state.travelMode].osmand}`;
+}
+
+// Any installed maps app on Android, e.g. Organic Maps or HERE WeGo
+function buildGeoUri(leg) {
+    const point = leg[leg.length - 1];
+    return `geo:${formatLatLng(point)}?q=${formatLatLng(point)}(${encodeURIComponent(point.label)})`;
+}
+
+// ===================================
+// File Export (GPX, KML, GeoJSON, iCalendar)
+// ===================================
+
+const EXPORT_FORMATS = {
+    gpx: { build: buildGpx, mimeType: 'application/gpx+xml' },
+    kml: { build: buildKml, mimeType: 'application/vnd.google-earth.kml+xml' },
+    geojson: { build: buildGeoJson, mimeType: 'application/geo+json' },
+    ics: { build: buildIcs, mimeType: 'text/calendar' },
+    proof: { build: buildProofBundle, mimeType: 'application/json', extension: 'proof.json' }
+};
+
+// Download the optimized trip (every vehicle) as a GPX, KML, GeoJSON or iCalendar file
+function exportRoute(format) {
+    const plans = (state.routePlans || []).filter(plan => plan.route);
+    if (plans.length === 0) {
+        showToast('Please optimize route first', 'error');
+        return;
+    }
+    
+    const { build, mimeType, extension = format } = EXPORT_FORMATS[format];
+    const baseName = (elements.routeNameInput.value.trim() || 'route')
+        .replace(/[^\w-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'route';
+    
+    downloadFile(`${baseName}.${extension}`, build(plans), mimeType);
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Ordered points of a plan for export: the start, every stop and the end.
+ * @param {object} plan - Route plan from createRoutePlan
+ * @returns {Array<{name: string, address: string, notes: string, lat: number, lng: number, arrival: ?Date, departure: ?Date}>}
+ */
+function getExportWaypoints(plan) {
+    const waypoints = [{
+        name: 'Start',
+        address: plan.start.address,
+        notes: '',
+        lat: plan.start.lat,
+        lng: plan.start.lng,
+        arrival: null,
+        departure: plan.timeline.departure
+    }];
+    
+    plan.timeline.stops.forEach((entry, i) => {
+        const dest = entry.destination;
+        const address = dest.location.address || dest.address;
+        waypoints.push({
+            name: `${i + 1}. ${dest.name || truncateAddress(dest.address || address)}`,
+            address,
+            notes: dest.notes || '',
+            lat: dest.location.lat,
+            lng: dest.location.lng,
+            arrival: entry.arrival,
+            departure: entry.departure
+        });
+    });
+    
+    if (plan.end && plan.timeline.end) {
+        waypoints.push({
+            name: plan.end === plan.start ? 'Return' : 'End',
+            address: plan.end.address,
+            notes: '',
+            lat: plan.end.lat,
+            lng: plan.end.lng,
+            arrival: plan.timeline.end.arrival,
+            departure: null
+        });
     }
+    
+    return waypoints;
 }
 
-/**
- * Decode Valhalla's polyline6 encoded geometry
- * Valhalla uses polyline6 encoding with 6 decimal places precision (1e6)
- * This is higher precision than Google's standard polyline encoding (5 decimals, 1e5)
- * @param {string} encoded - The encoded polyline string from Valhalla API
- * @returns {Array<[number, number]>} Array of [lng, lat] coordinate pairs (GeoJSON format)
- */
-function decodeValhallaPolyline(encoded) {
-    const coordinates = [];
-    let index = 0;
-    let lat = 0;
-    let lng = 0;
+// Road geometry as [lng, lat] pairs, or straight lines between the waypoints if there is none
+function getExportCoordinates(plan, waypoints) {
+    const geometry = plan.route.geometry;
+    if (geometry && geometry.coordinates && geometry.coordinates.length > 1) {
+        return geometry.coordinates;
+    }
+    return waypoints.map(point => [point.lng, point.lat]);
+}
+
+// Plan label for multi-vehicle exports, e.g. "Route - Van 2"
+function getExportName(plan) {
+    return plan.name ? `Route - ${plan.name}` : 'Route';
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Address, notes and planned times of a waypoint as plain text lines
+function describeExportWaypoint(point) {
+    const lines = [point.address];
+    if (point.arrival) lines.push(`Arrive ${formatClockTime(point.arrival)}`);
+    if (point.departure) lines.push(`Depart ${formatClockTime(point.departure)}`);
+    if (point.notes) lines.push(point.notes);
+    return lines.join('\n');
+}
+
+// GPX 1.1 with a <rte> of the ordered waypoints and a <trk> of the road geometry per plan
+function buildGpx(plans) {
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Route Optimizer" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><time>${new Date().toISOString()}</time></metadata>`
+    ];
     
-    while (index < encoded.length) {
-        let b;
-        let shift = 0;
-        let result = 0;
-        
-        do {
-            b = encoded.charCodeAt(index++) - 63;
-            result |= (b & 0x1f) << shift;
-            shift += 5;
-        } while (b >= 0x20);
-        
-        const dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
-        lat += dlat;
+    plans.forEach(plan => {
+        const waypoints = getExportWaypoints(plan);
+        const name = escapeXml(getExportName(plan));
         
-        shift = 0;
-        result = 0;
+        parts.push(`  <rte>`, `    <name>${name}</name>`);
+        waypoints.forEach(point => {
+            // GPX 1.1 fixes the child order: name, cmt, desc
+            parts.push(
+                `    <rtept lat="${point.lat}" lon="${point.lng}">`,
+                `      <name>${escapeXml(point.name)}</name>`
+            );
+            if (point.notes) parts.push(`      <cmt>${escapeXml(point.notes)}</cmt>`);
+            parts.push(
+                `      <desc>${escapeXml(describeExportWaypoint(point))}</desc>`,
+                `    </rtept>`
+            );
+        });
+        parts.push(`  </rte>`);
         
-        do {
-            b = encoded.charCodeAt(index++) - 63;
-            result |= (b & 0x1f) << shift;
-            shift += 5;
-        } while (b >= 0x20);
+        parts.push(`  <trk>`, `    <name>${name}</name>`, `    <trkseg>`);
+        getExportCoordinates(plan, waypoints).forEach(([lng, lat]) => {
+            parts.push(`      <trkpt lat="${lat}" lon="${lng}"/>`);
+        });
+        parts.push(`    </trkseg>`, `  </trk>`);
+    });
+    
+    parts.push('</gpx>');
+    return parts.join('\n');
+}
+
+// KML with a folder per plan: numbered placemarks plus the route line
+function buildKml(plans) {
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        '  <name>Route Optimizer</name>'
+    ];
+    
+    plans.forEach((plan, p) => {
+        const waypoints = getExportWaypoints(plan);
+        // KML colors are aabbggrr
+        const [r, g, b] = [1, 3, 5].map(i => plan.color.substr(i, 2));
         
-        const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
-        lng += dlng;
+        parts.push(
+            `  <Style id="route${p}"><LineStyle><color>ff${b}${g}${r}</color><width>4</width></LineStyle></Style>`,
+            `  <Folder>`,
+            `    <name>${escapeXml(getExportName(plan))}</name>`
+        );
+        waypoints.forEach(point => {
+            parts.push(
+                `    <Placemark>`,
+                `      <name>${escapeXml(point.name)}</name>`,
+                `      <description>${escapeXml(describeExportWaypoint(point))}</description>`,
+                `      <Point><coordinates>${point.lng},${point.lat}</coordinates></Point>`,
+                `    </Placemark>`
+            );
+        });
         
-        // Valhalla uses 6 decimal places precision (1e6)
-        coordinates.push([lng / 1e6, lat / 1e6]);
-    }
+        const coordinates = getExportCoordinates(plan, waypoints).map(([lng, lat]) => `${lng},${lat}`).join(' ');
+        parts.push(
+            `    <Placemark>`,
+            `      <name>${escapeXml(getExportName(plan))}</name>`,
+            `      <styleUrl>#route${p}</styleUrl>`,
+            `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+            `    </Placemark>`,
+            `  </Folder>`
+        );
+    });
     
-    return coordinates;
+    parts.push('</Document>', '</kml>');
+    return parts.join('\n');
 }
 
-// Calculate a fallback route using straight-line distances when routing fails
-function calculateFallbackRoute(waypoints) {
-    let totalDistance = 0;
-    const coordinates = [];
+// GeoJSON FeatureCollection: a Point per waypoint and a LineString per plan
+function buildGeoJson(plans) {
+    const features = [];
     
-    for (let i = 0; i < waypoints.length; i++) {
-        coordinates.push([waypoints[i].lng, waypoints[i].lat]);
+    plans.forEach(plan => {
+        const waypoints = getExportWaypoints(plan);
+        const route = getExportName(plan);
         
-        if (i > 0) {
-            totalDistance += calculateDistance(
-                waypoints[i-1].lat, waypoints[i-1].lng,
-                waypoints[i].lat, waypoints[i].lng
-            ) * 1000; // Convert km to meters
-        }
-    }
-    
-    // Estimate duration using fallback average speed
-    const estimatedDuration = (totalDistance / 1000) / FALLBACK_AVERAGE_SPEED_KMH * 3600; // seconds
+        waypoints.forEach((point, sequence) => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+                properties: {
+                    route,
+                    sequence,
+                    name: point.name,
+                    address: point.address,
+                    notes: point.notes,
+                    arrival: point.arrival ? point.arrival.toISOString() : null,
+                    departure: point.departure ? point.departure.toISOString() : null
+                }
+            });
+        });
+        
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: getExportCoordinates(plan, waypoints) },
+            properties: {
+                route,
+                color: plan.color,
+                duration: plan.route.duration,
+                distance: plan.route.distance,
+                estimated: Boolean(plan.route.isFallback)
+            }
+        });
+    });
     
-    return {
-        duration: estimatedDuration,
-        distance: totalDistance,
-        geometry: {
-            type: 'LineString',
-            coordinates: coordinates
-        },
-        isFallback: true
-    };
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
 }
 
-// Main route calculation function with comprehensive error handling
-async function calculateRoute(waypoints, options = {}) {
-    const { maxRetries = 2, useFallback = true } = options;
+/**
+ * iCalendar with one event per stop, from the planned arrival to the planned departure.
+ * Stops without time there are zero-length events at the arrival time.
+ * @param {Array<object>} plans - Route plans with routes
+ * @returns {string}
+ */
+function buildIcs(plans) {
+    const stamp = formatIcsDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Route Optimizer//Stop schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
     
-    // Step 1: Validate waypoints
-    const validation = validateWaypoints(waypoints);
-    if (!validation.valid) {
-        throw new Error(validation.error);
+    plans.forEach(plan => {
+        plan.timeline.stops.forEach((entry, i) => {
+            const dest = entry.destination;
+            const address = dest.location.address || dest.address;
+            const title = `${i + 1}. ${dest.name || truncateAddress(dest.address || address)}`;
+            
+            const description = [
+                `Arrive ${formatClockTime(entry.arrival)}, depart ${formatClockTime(entry.departure)}`
+            ];
+            if (dest.earliest || dest.latest) description.push(`Window ${formatTimeWindow(dest)}`);
+            if (entry.late > 0) description.push(`${formatDuration(entry.late)} late`);
+            if (dest.notes) description.push(dest.notes);
+            
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${plan.timeline.departure.getTime()}-${dest.id}@route-optimizer`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${formatIcsDate(entry.arrival)}`
+            );
+            if (entry.departure > entry.arrival) {
+                lines.push(`DTEND:${formatIcsDate(entry.departure)}`);
+            }
+            lines.push(
+                `SUMMARY:${escapeIcsText(plan.name ? `${plan.name}: ${title}` : title)}`,
+                `LOCATION:${escapeIcsText(address)}`,
+                `GEO:${dest.location.lat.toFixed(6)};${dest.location.lng.toFixed(6)}`,
+                `DESCRIPTION:${escapeIcsText(description.join('\n'))}`,
+                'END:VEVENT'
+            );
+        });
+    });
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// UTC date-time, e.g. 20240315T081500Z
+function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 §3.1)
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) {
+        return line;
     }
     
-    // Step 2: Check browser online status
-    if (!isOnline()) {
-        if (useFallback) {
-            showToast('Offline: Using estimated route', 'warning');
-            return calculateFallbackRoute(waypoints);
+    const parts = [];
+    let current = '';
+    let limit = 75;
+    for (const char of line) {
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+            limit = 74; // The leading space counts
         }
-        throw new Error('You appear to be offline. Please check your internet connection and try again.');
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// ===================================
+// Run Sheet (Print)
+// ===================================
+
+// Size of the overview map drawn on the run sheet, in SVG units
+const RUN_SHEET_MAP_WIDTH = 700;
+const RUN_SHEET_MAP_MAX_HEIGHT = 360;
+
+// Fill the hidden run sheet with the optimized result and open the print dialog
+function printRunSheet() {
+    const plans = (state.routePlans || []).filter(plan => plan.route);
+    if (plans.length === 0) {
+        showToast('Please optimize route first', 'error');
+        return;
     }
     
-    // Step 3: Build coordinates string
-    const coords = waypoints.map(wp => `${wp.lng.toFixed(6)},${wp.lat.toFixed(6)}`).join(';');
+    renderRunSheet(plans);
+    window.print();
+}
+
+function renderRunSheet(plans) {
+    const sheet = elements.runSheet;
+    const stopCount = plans.reduce((sum, plan) => sum + plan.order.length, 0);
+    const drive = plans.reduce((sum, plan) => sum + plan.route.duration, 0);
+    const distance = plans.reduce((sum, plan) => sum + plan.route.distance, 0);
+    const atStops = plans.reduce((sum, plan) => sum + plan.timeline.totalDwell + plan.timeline.totalWait, 0);
+    const finish = new Date(Math.max(...plans.map(plan => plan.timeline.finish.getTime())));
+    const departure = plans[0].timeline.departure;
+    const estimateSuffix = plans.some(plan => plan.route.isFallback) ? ' (est.)' : '';
     
-    // Step 4: Try each routing server with retries
-    const errors = [];
+    sheet.innerHTML = `
+        <header class="run-sheet-header">
+            <h1></h1>
+            <p></p>
+        </header>
+        <dl class="run-sheet-totals"></dl>
+        <div class="run-sheet-map"></div>
+    `;
+    sheet.querySelector('h1').textContent = elements.routeNameInput.value.trim() || 'Run sheet';
+    sheet.querySelector('.run-sheet-header p').textContent =
+        `${departure.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })} · departs ${formatClockTime(departure)}`;
     
-    for (const serverUrl of ROUTING_SERVERS) {
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            const result = await tryRouteServer(serverUrl, coords);
-            
-            if (result.success) {
-                console.log(`Route calculated successfully using ${serverUrl}`);
-                return result.data;
-            }
-            
-            errors.push({
-                server: serverUrl,
-                attempt: attempt + 1,
-                error: result.error,
-                errorInfo: result.errorInfo
-            });
-            
-            // Don't retry non-retryable errors
-            if (!result.retryable) {
-                console.warn(`Non-retryable error from ${serverUrl}:`, result.error);
-                break;
-            }
-            
-            // Wait before retry with exponential backoff
-            if (attempt < maxRetries) {
-                const waitTime = Math.min(1000 * Math.pow(2, attempt), 5000);
-                console.log(`Retrying in ${waitTime}ms...`);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-            }
-        }
+    const totals = sheet.querySelector('.run-sheet-totals');
+    [
+        ['Stops', String(stopCount)],
+        ['Driving', formatDuration(drive) + estimateSuffix],
+        ['Distance', formatDistance(distance) + estimateSuffix],
+        ['At stops', formatDuration(atStops)],
+        ['Finish', formatClockTime(finish) + estimateSuffix]
+    ].forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.innerHTML = '<dt></dt><dd></dd>';
+        item.querySelector('dt').textContent = label;
+        item.querySelector('dd').textContent = value;
+        totals.appendChild(item);
+    });
+    
+    sheet.querySelector('.run-sheet-map').innerHTML = buildOverviewMapSvg(plans);
+    
+    plans.forEach(plan => {
+        sheet.appendChild(createRunSheetTable(plan));
+    });
+}
+
+// Stop table for one vehicle: checkbox, number, stop, ETA, time at stop and notes
+function createRunSheetTable(plan) {
+    const section = document.createElement('section');
+    section.className = 'run-sheet-route';
+    
+    if (plan.name) {
+        const heading = document.createElement('h2');
+        heading.textContent = plan.name;
+        heading.style.borderColor = plan.color;
+        section.appendChild(heading);
     }
     
-    // Step 4b: Try Valhalla as an alternative routing server (different API format)
-    console.log('OSRM servers failed, trying Valhalla...');
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        const valhallaResult = await tryValhallaServer(waypoints);
-        
-        if (valhallaResult.success) {
-            console.log('Route calculated successfully using Valhalla');
-            return valhallaResult.data;
-        }
-        
-        errors.push({
-            server: VALHALLA_SERVER,
-            attempt: attempt + 1,
-            error: valhallaResult.error,
-            errorInfo: valhallaResult.errorInfo
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr><th class="run-sheet-check">✓</th><th>#</th><th>Stop</th><th>ETA</th><th>At stop</th><th>Notes</th></tr>
+        </thead>
+        <tbody></tbody>
+    `;
+    const body = table.querySelector('tbody');
+    
+    const addRow = (cells, className = '') => {
+        const row = document.createElement('tr');
+        row.className = className;
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
         });
+        row.firstChild.className = 'run-sheet-check';
+        body.appendChild(row);
+        return row;
+    };
+    
+    const timeline = plan.timeline;
+    addRow(['', '', `Start: ${plan.start.address}`, `Depart ${formatClockTime(timeline.departure)}`, '', ''], 'run-sheet-endpoint');
+    
+    timeline.stops.forEach((entry, i) => {
+        const dest = entry.destination;
+        const address = dest.address || dest.location.address;
+        const eta = entry.late > 0
+            ? `${formatClockTime(entry.arrival)} (${formatDuration(entry.late)} late)`
+            : formatClockTime(entry.arrival);
+        const notes = [dest.notes, dest.earliest || dest.latest ? `Window ${formatTimeWindow(dest)}` : '']
+            .filter(Boolean)
+            .join(' · ');
         
-        // Don't retry non-retryable errors
-        if (!valhallaResult.retryable) {
-            console.warn('Non-retryable error from Valhalla:', valhallaResult.error);
-            break;
-        }
-        
-        // Wait before retry
-        if (attempt < maxRetries) {
-            const waitTime = Math.min(1000 * Math.pow(2, attempt), 5000);
-            console.log(`Retrying Valhalla in ${waitTime}ms...`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
+        const row = addRow(['☐', String(i + 1), '', eta, entry.dwell > 0 ? formatDuration(entry.dwell) : '–', notes]);
+        const stopCell = row.children[2];
+        if (dest.name) {
+            const name = document.createElement('strong');
+            name.textContent = dest.name;
+            stopCell.append(name, document.createElement('br'));
         }
+        stopCell.append(address);
+    });
+    
+    if (plan.end && timeline.end) {
+        const label = plan.end === plan.start ? 'Return' : 'End';
+        addRow(['', '', `${label}: ${plan.end.address}`, formatClockTime(timeline.end.arrival), '', ''], 'run-sheet-endpoint');
     }
     
-    // Step 5: All servers failed - analyze errors and provide helpful message
-    console.error('All routing attempts failed:', errors);
+    section.appendChild(table);
+    return section;
+}
+
+/**
+ * Static overview of every route as an SVG (no map tiles, so it prints the same everywhere).
+ * Uses an equirectangular projection, which is close enough at city scale.
+ * @param {Array<object>} plans - Route plans with routes
+ * @returns {string} SVG markup
+ */
+function buildOverviewMapSvg(plans) {
+    const lines = plans.map(plan => ({
+        color: plan.color,
+        coordinates: getExportCoordinates(plan, getExportWaypoints(plan))
+    }));
     
-    // Check if all errors are network-related
-    const allNetworkErrors = errors.every(e => 
-        e.error === 'Network error' || 
-        e.error === 'Request timed out'
+    // A full road geometry has too many points to spread into Math.min/max
+    let minLng = Infinity, maxLng = -Infinity, minLat = Infinity, maxLat = -Infinity;
+    lines.forEach(line => {
+        line.coordinates.forEach(([lng, lat]) => {
+            minLng = Math.min(minLng, lng);
+            maxLng = Math.max(maxLng, lng);
+            minLat = Math.min(minLat, lat);
+            maxLat = Math.max(maxLat, lat);
+        });
+    });
+    const midLat = (minLat + maxLat) / 2;
+    const xScale = Math.cos(midLat * Math.PI / 180);
+    
+    const spanX = Math.max((maxLng - minLng) * xScale, 1e-6);
+    const spanY = Math.max(maxLat - minLat, 1e-6);
+    const padding = 24;
+    const scale = Math.min(
+        (RUN_SHEET_MAP_WIDTH - 2 * padding) / spanX,
+        (RUN_SHEET_MAP_MAX_HEIGHT - 2 * padding) / spanY
     );
+    const height = Math.round(spanY * scale + 2 * padding);
+    const offsetX = (RUN_SHEET_MAP_WIDTH - spanX * scale) / 2;
     
-    if (allNetworkErrors) {
-        // Double-check network connectivity
-        const hasConnectivity = await testNetworkConnectivity();
+    const project = (lat, lng) => [
+        Math.round((lng - minLng) * xScale * scale + offsetX),
+        Math.round((maxLat - lat) * scale + padding)
+    ];
+    
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${RUN_SHEET_MAP_WIDTH} ${height}" role="img" aria-label="Route overview">`,
+        `<rect width="100%" height="100%" fill="#f4f6f8"/>`
+    ];
+    
+    lines.forEach(line => {
+        // Points that land on the same pixel as the one before add nothing
+        const points = line.coordinates
+            .map(([lng, lat]) => project(lat, lng).join(','))
+            .filter((point, i, all) => i === 0 || point !== all[i - 1])
+            .join(' ');
+        parts.push(`<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="3" stroke-linejoin="round" stroke-linecap="round"/>`);
+    });
+    
+    plans.forEach(plan => {
+        const [x, y] = project(plan.start.lat, plan.start.lng);
+        parts.push(`<rect x="${x - 7}" y="${y - 7}" width="14" height="14" fill="#222"/>`);
         
-        if (!hasConnectivity) {
-            if (useFallback) {
-                showToast('No internet connection detected. Using estimated route based on straight-line distances.', 'warning');
-                return calculateFallbackRoute(waypoints);
-            }
-            throw new Error('No internet connection detected. Please check your network settings and try again.');
-        } else {
-            // Network works but routing servers are down
-            if (useFallback) {
-                showToast('Routing services are currently unavailable. Using estimated route based on straight-line distances.', 'warning');
-                return calculateFallbackRoute(waypoints);
+        plan.order.forEach((dest, i) => {
+            const [cx, cy] = project(dest.location.lat, dest.location.lng);
+            parts.push(
+                `<circle cx="${cx}" cy="${cy}" r="9" fill="${plan.color}" stroke="#fff" stroke-width="2"/>`,
+                `<text x="${cx}" y="${cy}" dy="3.5" text-anchor="middle" font-size="10" font-weight="600" fill="#fff">${i + 1}</text>`
+            );
+        });
+    });
+    
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+// ===================================
+// Storage (IndexedDB)
+// ===================================
+
+const DB_NAME = 'route-optimizer';
+const DB_VERSION = 4;
+const TRIP_STORE = 'trip'; // The working trip, under a single key
+const ROUTES_STORE = 'routes'; // Named saved routes
+const CORRECTIONS_STORE = 'geocodeCorrections'; // Reviewed locations, by normalized typed address
+const SETTINGS_STORE = 'settings'; // Device preferences, by name
+const CACHE_STORE = 'responseCache'; // Geocoding and travel time lookups, by lookup key (see Response Cache)
+const WORKING_TRIP_KEY = 'current';
+const AUTOSAVE_DELAY_MS = 500;
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('Saving is not available in this browser'));
+                return;
             }
-            throw new Error('The routing service is currently unavailable (not your internet). Please try again in a few minutes or use the estimated route.');
-        }
+            
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(TRIP_STORE)) {
+                    db.createObjectStore(TRIP_STORE);
+                }
+                if (!db.objectStoreNames.contains(ROUTES_STORE)) {
+                    db.createObjectStore(ROUTES_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(CORRECTIONS_STORE)) {
+                    db.createObjectStore(CORRECTIONS_STORE);
+                }
+                if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                    db.createObjectStore(SETTINGS_STORE);
+                }
+                if (!db.objectStoreNames.contains(CACHE_STORE)) {
+                    const cacheStore = db.createObjectStore(CACHE_STORE);
+                    cacheStore.createIndex('expiresAt', 'expiresAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store.
+ * @param {string} storeName - Object store to use
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Builds the request
+ * @returns {Promise<*>} The request's result
+ */
+async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Run several requests against an object store in one transaction.
+ * @param {string} storeName - Object store to use
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest[]} makeRequests - Builds the requests
+ * @returns {Promise<Array<*>>} Each request's result, in order
+ */
+async function dbBatch(storeName, mode, makeRequests) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const requests = makeRequests(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(requests.map(request => request.result));
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getSetting(name) {
+    return dbRequest(SETTINGS_STORE, 'readonly', store => store.get(name));
+}
+
+function saveSetting(name, value) {
+    return dbRequest(SETTINGS_STORE, 'readwrite', store => store.put(value, name));
+}
+
+/**
+ * Snapshot the trip as plain data for IndexedDB. Results refer to destinations
+ * by ID so they can be re-linked when the trip is loaded.
+ * @returns {object}
+ */
+function serializeTrip() {
+    return {
+        startLocation: state.startLocation,
+        destinations: state.destinations.map(d => ({ ...d })),
+        returnToStart: state.returnToStart,
+        useEndLocation: state.useEndLocation,
+        endAddress: state.endAddress,
+        endLocation: state.endLocation,
+        useDepartureTime: elements.useDepartureTimeCheckbox.checked,
+        departureTimeValue: elements.departureTimeInput.value,
+        defaultDwellMinutes: state.defaultDwellMinutes,
+        maxTripHours: state.maxTripHours,
+        finishBy: state.finishBy,
+        vehicles: state.vehicles.map(v => ({ ...v })),
+        vehicleCapacity: state.vehicleCapacity,
+        travelMode: state.travelMode,
+        avoid: { ...state.avoid },
+        result: state.routePlans ? {
+            originalRoute: state.originalRoute,
+            plans: state.routePlans.map(plan => ({
+                name: plan.name,
+                color: plan.color,
+                start: plan.start,
+                end: plan.end,
+                orderIds: plan.order.map(d => d.id),
+                route: plan.route,
+                departure: plan.departure,
+                maxDuration: plan.maxDuration,
+                skipped: plan.skipped.map(({ destination, reason }) => ({ id: destination.id, reason }))
+            }))
+        } : null,
+        run: state.run ? {
+            planIndex: state.run.planIndex,
+            stops: state.run.stops.map(({ destination, status, time }) => ({ id: destination.id, status, time }))
+        } : null
+    };
+}
+
+// Load a serialized trip into the state and the form
+function applyTrip(trip) {
+    state.startLocation = trip.startLocation;
+    state.destinations = trip.destinations;
+    state.returnToStart = trip.returnToStart;
+    state.useEndLocation = trip.useEndLocation;
+    state.endAddress = trip.endAddress;
+    state.endLocation = trip.endLocation;
+    state.defaultDwellMinutes = trip.defaultDwellMinutes;
+    state.maxTripHours = trip.maxTripHours;
+    state.finishBy = trip.finishBy;
+    state.vehicles = trip.vehicles;
+    state.vehicleCapacity = trip.vehicleCapacity;
+    // Trips saved before travel modes existed were driven by car
+    state.travelMode = trip.travelMode || 'car';
+    state.avoid = { tolls: false, highways: false, ferries: false, ...trip.avoid };
     
-    // Check for specific non-retryable errors
-    const nonRetryableError = errors.find(e => 
-        e.error.includes('No driving route') ||
-        e.error.includes('too far from a road') ||
-        e.error.includes('Invalid location') ||
-        e.error.includes('too long')
-    );
+    destinationCounter = Math.max(0, ...state.destinations.map(d => d.id));
+    vehicleCounter = Math.max(0, ...state.vehicles.map(v => v.id));
+    expandedDestinations.clear();
+    
+    // Reflect everything in the form
+    elements.startLocationInput.value = state.startLocation ? state.startLocation.address : '';
+    elements.startLocationStatus.textContent = '';
+    elements.returnToStartCheckbox.checked = state.returnToStart;
+    elements.useEndLocationCheckbox.checked = state.useEndLocation;
+    elements.endLocationInput.value = state.endAddress;
+    setUseEndLocation(state.useEndLocation);
+    elements.useDepartureTimeCheckbox.checked = trip.useDepartureTime;
+    elements.departureTimeInput.value = trip.departureTimeValue;
+    elements.departureTimeContainer.style.display = trip.useDepartureTime ? 'block' : 'none';
+    state.departureTime = trip.useDepartureTime && trip.departureTimeValue ? new Date(trip.departureTimeValue) : null;
+    elements.defaultDwellInput.value = state.defaultDwellMinutes;
+    elements.maxTripHoursInput.value = state.maxTripHours ?? '';
+    elements.finishByInput.value = state.finishBy || '';
+    elements.vehicleCountInput.value = state.vehicles.length;
+    elements.vehicleCapacityInput.value = state.vehicleCapacity ?? '';
+    elements.travelModeSelect.value = state.travelMode;
+    updateAvoidOptions();
+    
+    renderVehicles();
+    renderDestinations();
+    updateOptimizeButton();
     
-    if (nonRetryableError) {
-        throw new Error(nonRetryableError.error);
+    // Finish geocoding an import that was interrupted, and retry failed lookups
+    const pending = state.destinations.filter(d => d.geocodeStatus === 'pending');
+    if (pending.length > 0) {
+        queueGeocode(pending);
     }
+    retryGeocodes();
     
-    // Check if rate limited
-    const rateLimited = errors.some(e => e.error === 'Rate limited');
-    if (rateLimited) {
-        if (useFallback) {
-            showToast('Route calculation service is busy. Using estimated route.', 'warning');
-            return calculateFallbackRoute(waypoints);
+    stopRun();
+    
+    // Show the last result if every stop it refers to is still there
+    const plans = trip.result && restoreRoutePlans(trip.result.plans);
+    if (plans) {
+        displayResults(plans, trip.result.originalRoute, true);
+        if (trip.run) {
+            resumeRun(trip.run);
         }
-        throw new Error('Route calculation service is busy. Please wait a moment and try again.');
+    } else {
+        elements.resultsSection.style.display = 'none';
+        state.routePlans = null;
+        state.originalRoute = null;
     }
-    
-    // Generic fallback error
-    if (useFallback) {
-        showToast('Unable to calculate exact route. Using estimated route based on straight-line distances.', 'warning');
-        return calculateFallbackRoute(waypoints);
+}
+
+// Re-link serialized plans to the trip's destinations; null if any are missing
+function restoreRoutePlans(serializedPlans) {
+    const byId = new Map(state.destinations.map(d => [d.id, d]));
+    const allIds = serializedPlans.flatMap(plan => [...plan.orderIds, ...plan.skipped.map(entry => entry.id)]);
+    if (!allIds.every(id => byId.has(id))) {
+        return null;
     }
     
-    throw new Error('Unable to calculate route. Please verify your destinations and try again. You may also try refreshing the page.');
+    // Plans compare starts and ends by identity (a return trip's end is its start,
+    // vehicles share a depot). Don't count on the stored record keeping those
+    // shared references: equal places get back a single object.
+    const places = new Map();
+    const samePlace = place => {
+        if (!place) return place;
+        const key = `${place.lat},${place.lng},${place.address}`;
+        if (!places.has(key)) {
+            places.set(key, place);
+        }
+        return places.get(key);
+    };
+    
+    return serializedPlans.map(plan => createRoutePlan({
+        name: plan.name,
+        color: plan.color,
+        start: samePlace(plan.start),
+        end: samePlace(plan.end),
+        order: plan.orderIds.map(id => byId.get(id)),
+        route: plan.route,
+        departure: plan.departure,
+        maxDuration: plan.maxDuration,
+        skipped: plan.skipped.map(({ id, reason }) => ({ destination: byId.get(id), reason }))
+    }));
 }
 
 // ===================================
-// Display Results
+// Response Cache
 // ===================================
 
-function displayResults(optimizedOrder, optimizedRoute, originalRoute) {
-    // Show results section
-    elements.resultsSection.style.display = 'block';
-    
-    // Calculate time saved
-    const timeSaved = Math.max(0, originalRoute.duration - optimizedRoute.duration);
-    
-    // Check if using fallback/estimated route
-    const isEstimated = optimizedRoute.isFallback || originalRoute.isFallback;
-    const estimateSuffix = isEstimated ? ' (est.)' : '';
-    
-    // Update stats
-    elements.optimizedTime.textContent = formatDuration(optimizedRoute.duration) + estimateSuffix;
-    elements.timeSaved.textContent = formatDuration(timeSaved) + estimateSuffix;
-    elements.totalDistance.textContent = formatDistance(optimizedRoute.distance) + estimateSuffix;
-    
-    // Update optimized order list
-    elements.optimizedOrderList.innerHTML = '';
-    
-    // Add start location
-    const startItem = document.createElement('li');
-    startItem.innerHTML = `<strong>Start:</strong> ${truncateAddress(state.startLocation.address)}`;
-    elements.optimizedOrderList.appendChild(startItem);
-    
-    // Add destinations
-    optimizedOrder.forEach((dest, index) => {
-        const li = document.createElement('li');
-        li.className = dest.locked ? 'locked' : '';
-        li.textContent = truncateAddress(dest.address || dest.location.address);
-        elements.optimizedOrderList.appendChild(li);
-    });
-    
-    // Add return to start if enabled
-    if (state.returnToStart) {
-        const returnItem = document.createElement('li');
-        returnItem.className = 'locked';
-        returnItem.innerHTML = `<strong>Return:</strong> ${truncateAddress(state.startLocation.address)}`;
-        elements.optimizedOrderList.appendChild(returnItem);
+// How long cached lookups are used. Addresses rarely move; road times change with roadworks.
+const GEOCODE_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const TRAVEL_TIME_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Above this many entries the ones closest to expiring are dropped
+const RESPONSE_CACHE_MAX_ENTRIES = 20000;
+
+// Check the size limit after this many writes
+const RESPONSE_CACHE_PRUNE_EVERY = 500;
+
+// Lookups since the last optimization started, for the results summary
+const responseCacheStats = { lookups: 0, hits: 0 };
+let responseCacheWrites = 0;
+
+function resetResponseCacheStats() {
+    responseCacheStats.lookups = 0;
+    responseCacheStats.hits = 0;
+}
+
+// Coordinates are rounded to about a meter so the same place always gives the same key
+function formatCacheCoord(point) {
+    return `${point.lat.toFixed(5)},${point.lng.toFixed(5)}`;
+}
+
+// Key for a geocoder lookup: the service, the kind of lookup, the search area and the normalized query
+function getGeocodeCacheKey(geocoder, kind, text, near = null) {
+    const area = near ? `${near.lat.toFixed(1)},${near.lng.toFixed(1)}` : '';
+    return ['geocode', geocoder.type, geocoder.url, kind, area, text].join('|');
+}
+
+/**
+ * Key for the travel time between two points. Matrix cells and single estimates share
+ * it, so either fills the other. Everything in the profile that changes travel times
+ * (mode, avoid options, truck dimensions) is part of the key.
+ * @param {object} profile - Travel mode settings from getRoutingProfile
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {string}
+ */
+function getTravelTimeCacheKey(profile, from, to) {
+    const profileKey = JSON.stringify([
+        profile.mode,
+        profile.osrmQuery,
+        profile.valhallaCostingOptions,
+        profile.graphHopperCustomModel
+    ]);
+    return ['travel', profileKey, formatCacheCoord(from), formatCacheCoord(to)].join('|');
+}
+
+/**
+ * Look up cached responses. Expired entries count as misses.
+ * @param {string[]} keys - Lookup keys
+ * @returns {Promise<Array<*>>} The cached value, or null, for each key
+ */
+async function getCachedResponses(keys) {
+    if (keys.length === 0) {
+        return [];
     }
+    responseCacheStats.lookups += keys.length;
     
-    // Update map
-    displayMap(optimizedOrder, optimizedRoute.geometry);
-    
-    // Store for Google Maps export
-    state.optimizedOrder = optimizedOrder;
-    
-    // Scroll to results
-    elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
-    
-    // Show appropriate toast message
-    if (isEstimated) {
-        showToast('Route optimized (estimated times - check Google Maps for accuracy)', 'warning');
-    } else {
-        showToast('Route optimized!', 'success');
+    try {
+        const entries = await dbBatch(CACHE_STORE, 'readonly', store => keys.map(key => store.get(key)));
+        const now = Date.now();
+        const values = entries.map(entry => (entry && entry.expiresAt > now ? entry.value : null));
+        responseCacheStats.hits += values.filter(value => value !== null).length;
+        return values;
+    } catch (error) {
+        console.warn('Could not read the response cache:', error);
+        return keys.map(() => null);
     }
 }
 
-function formatDuration(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
+async function getCachedResponse(key) {
+    const [value] = await getCachedResponses([key]);
+    return value;
+}
+
+/**
+ * Store responses in the cache.
+ * @param {Array<{key: string, value: *}>} entries - Responses to store
+ * @param {number} ttlMs - How long they are used, in milliseconds
+ */
+async function cacheResponses(entries, ttlMs) {
+    if (entries.length === 0) {
+        return;
+    }
     
-    if (hours > 0) {
-        return `${hours}h ${minutes}m`;
+    const expiresAt = Date.now() + ttlMs;
+    try {
+        await dbBatch(CACHE_STORE, 'readwrite', store =>
+            entries.map(({ key, value }) => store.put({ value, expiresAt }, key))
+        );
+        responseCacheWrites += entries.length;
+        if (responseCacheWrites >= RESPONSE_CACHE_PRUNE_EVERY) {
+            responseCacheWrites = 0;
+            await pruneResponseCache();
+        }
+    } catch (error) {
+        console.warn('Could not write to the response cache:', error);
     }
-    return `${minutes} min`;
 }
 
-function formatDistance(meters) {
-    const miles = meters / 1609.344;
-    if (miles < 0.1) {
-        const feet = meters * 3.28084;
-        return `${Math.round(feet)} ft`;
+function cacheResponse(key, value, ttlMs) {
+    return cacheResponses([{ key, value }], ttlMs);
+}
+
+// Drop expired entries, then the ones closest to expiring while over the size limit
+async function pruneResponseCache() {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CACHE_STORE, 'readwrite');
+        const store = transaction.objectStore(CACHE_STORE);
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - RESPONSE_CACHE_MAX_ENTRIES;
+            const now = Date.now();
+            store.index('expiresAt').openCursor().onsuccess = event => {
+                const cursor = event.target.result;
+                if (cursor && (excess > 0 || cursor.value.expiresAt <= now)) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function renderResponseCacheSize() {
+    try {
+        const count = await dbRequest(CACHE_STORE, 'readonly', store => store.count());
+        elements.cacheSize.textContent = `${count} saved ${count === 1 ? 'lookup' : 'lookups'}`;
+    } catch (error) {
+        elements.cacheSize.textContent = 'Not available in this browser';
     }
-    return `${miles.toFixed(1)} mi`;
 }
 
-function truncateAddress(address) {
-    if (address.length > 50) {
-        return address.substring(0, 47) + '...';
+async function clearResponseCache() {
+    try {
+        await dbRequest(CACHE_STORE, 'readwrite', store => store.clear());
+        showToast('Cache cleared', 'success');
+    } catch (error) {
+        console.error('Could not clear the response cache:', error);
+        showToast('Could not clear the cache', 'error');
     }
-    return address;
+    renderResponseCacheSize();
 }
 
 // ===================================
-// Map Display
+// Autosave / Saved Routes
 // ===================================
 
-function displayMap(destinations, geometry) {
-    // Check if Leaflet is loaded
-    if (typeof L === 'undefined') {
-        console.warn('Leaflet library not loaded. Map display skipped.');
-        document.getElementById('map').innerHTML = '<div class="map-loading-message">📍 Map loading... If this persists, please check your internet connection.</div>';
-        return;
+let autosaveTimeout = null;
+
+// Off until the last trip has been restored, so the blank startup trip can't overwrite it
+let isAutosaveEnabled = false;
+
+// Save the working trip shortly after the last change
+function scheduleAutosave() {
+    if (!isAutosaveEnabled) return;
+    
+    if (autosaveTimeout) {
+        clearTimeout(autosaveTimeout);
+    }
+    autosaveTimeout = setTimeout(() => {
+        autosaveTimeout = null;
+        const trip = { ...serializeTrip(), savedRouteId: state.savedRouteId, routeName: elements.routeNameInput.value };
+        dbRequest(TRIP_STORE, 'readwrite', store => store.put(trip, WORKING_TRIP_KEY))
+            .catch(error => console.warn('Autosave failed:', error));
+    }, AUTOSAVE_DELAY_MS);
+}
+
+// Load the auto-saved working trip; resolves to whether there was one
+async function restoreWorkingTrip() {
+    try {
+        const trip = await dbRequest(TRIP_STORE, 'readonly', store => store.get(WORKING_TRIP_KEY));
+        if (!trip) {
+            return false;
+        }
+        
+        applyTrip(trip);
+        state.savedRouteId = trip.savedRouteId ?? null;
+        elements.routeNameInput.value = trip.routeName || '';
+        return state.startLocation !== null;
+    } catch (error) {
+        console.warn('Could not restore the last trip:', error);
+        return false;
+    } finally {
+        isAutosaveEnabled = true;
     }
+}
+
+// Save the working trip under its name, updating the saved route it came from
+async function saveCurrentRoute() {
+    const name = elements.routeNameInput.value.trim() ||
+        `Route ${new Date().toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+    const now = new Date();
     
-    // Initialize map if not exists
-    if (!state.map) {
-        state.map = L.map('map');
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors'
-        }).addTo(state.map);
+    try {
+        const existing = state.savedRouteId !== null
+            ? await dbRequest(ROUTES_STORE, 'readonly', store => store.get(state.savedRouteId))
+            : null;
         
-        state.routeLayer = L.layerGroup().addTo(state.map);
-        state.markersLayer = L.layerGroup().addTo(state.map);
+        // Run progress and proofs of visit belong to the working trip only
+        const trip = serializeTrip();
+        const record = {
+            name,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            trip: {
+                ...trip,
+                destinations: trip.destinations.map(d => ({ ...d, proof: null })),
+                run: null
+            }
+        };
+        if (existing) {
+            record.id = existing.id;
+        }
+        
+        state.savedRouteId = await dbRequest(ROUTES_STORE, 'readwrite', store => store.put(record));
+        elements.routeNameInput.value = name;
+        scheduleAutosave();
+        renderSavedRoutes();
+        showToast(existing ? `Updated "${name}"` : `Saved "${name}"`, 'success');
+    } catch (error) {
+        console.error('Save error:', error);
+        showToast(error.message || 'Could not save route', 'error');
     }
+}
+
+async function openSavedRoute(id) {
+    const record = await dbRequest(ROUTES_STORE, 'readonly', store => store.get(id));
+    if (!record || !confirmDiscardProofs()) return;
     
-    // Clear existing layers
-    state.routeLayer.clearLayers();
-    state.markersLayer.clearLayers();
+    applyTrip(record.trip);
+    state.savedRouteId = record.id;
+    elements.routeNameInput.value = record.name;
+    scheduleAutosave();
+    renderSavedRoutes();
+    showToast(`Opened "${record.name}"`, 'success');
+}
+
+// Proofs of visit live only in the working trip (saved routes leave them out), so
+// ask before another trip replaces it
+function confirmDiscardProofs() {
+    const count = state.destinations.filter(d => d.proof).length;
+    return count === 0 || confirm(
+        `This trip has ${count} ${count === 1 ? 'proof' : 'proofs'} of visit that will be lost. ` +
+        'Download the proof of visit export first to keep them. Replace the trip anyway?'
+    );
+}
+
+async function duplicateSavedRoute(id) {
+    const record = await dbRequest(ROUTES_STORE, 'readonly', store => store.get(id));
+    if (!record) return;
     
-    // Add route line
-    if (geometry && geometry.coordinates) {
-        const routeLine = L.geoJSON(geometry, {
-            style: {
-                color: '#4A90D9',
-                weight: 4,
-                opacity: 0.8
-            }
-        });
-        state.routeLayer.addLayer(routeLine);
+    const now = new Date();
+    await dbRequest(ROUTES_STORE, 'readwrite', store => store.add({
+        name: `${record.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+        trip: record.trip
+    }));
+    renderSavedRoutes();
+    showToast(`Duplicated "${record.name}"`, 'success');
+}
+
+async function renameSavedRoute(id) {
+    const record = await dbRequest(ROUTES_STORE, 'readonly', store => store.get(id));
+    if (!record) return;
+    
+    const name = prompt('Rename route', record.name);
+    if (!name || !name.trim()) return;
+    
+    record.name = name.trim();
+    record.updatedAt = new Date();
+    await dbRequest(ROUTES_STORE, 'readwrite', store => store.put(record));
+    
+    if (state.savedRouteId === id) {
+        elements.routeNameInput.value = record.name;
+        scheduleAutosave();
+    }
+    renderSavedRoutes();
+}
+
+async function deleteSavedRoute(id) {
+    const record = await dbRequest(ROUTES_STORE, 'readonly', store => store.get(id));
+    if (!record || !confirm(`Delete "${record.name}"?`)) return;
+    
+    await dbRequest(ROUTES_STORE, 'readwrite', store => store.delete(id));
+    
+    // The working trip stays, but it's no longer tied to a saved route
+    if (state.savedRouteId === id) {
+        state.savedRouteId = null;
+        scheduleAutosave();
+    }
+    renderSavedRoutes();
+    showToast(`Deleted "${record.name}"`, 'success');
+}
+
+async function renderSavedRoutes() {
+    let routes = [];
+    try {
+        routes = await dbRequest(ROUTES_STORE, 'readonly', store => store.getAll());
+    } catch (error) {
+        console.warn('Could not load saved routes:', error);
     }
     
-    // Add markers
-    const allPoints = [
-        { ...state.startLocation, label: 'Start', isStart: true },
-        ...destinations.map((d, i) => ({
-            ...d.location,
-            label: String(i + 1),
-            locked: d.locked
-        })),
-        ...(state.returnToStart ? [{ ...state.startLocation, label: 'End', isEnd: true }] : [])
-    ];
+    elements.savedRoutesList.innerHTML = '';
     
-    const bounds = L.latLngBounds();
+    if (routes.length === 0) {
+        elements.savedRoutesList.innerHTML = '<div class="empty-state"><p>No saved routes yet</p></div>';
+        return;
+    }
     
-    allPoints.forEach(point => {
-        const color = point.isStart || point.isEnd ? '#4A90D9' : 
-                     point.locked ? '#F39C12' : '#27AE60';
-        
-        const marker = L.circleMarker([point.lat, point.lng], {
-            radius: 12,
-            fillColor: color,
-            color: '#fff',
-            weight: 2,
-            fillOpacity: 1
-        });
-        
-        marker.bindTooltip(point.label, {
-            permanent: true,
-            direction: 'center',
-            className: 'marker-label'
+    // Most recently changed first
+    routes.sort((a, b) => b.updatedAt - a.updatedAt);
+    routes.forEach(record => elements.savedRoutesList.appendChild(createSavedRouteElement(record)));
+}
+
+function createSavedRouteElement(record) {
+    const item = document.createElement('div');
+    item.className = 'saved-route-item';
+    item.classList.toggle('active', record.id === state.savedRouteId);
+    
+    item.innerHTML = `
+        <div class="saved-route-info">
+            <div class="saved-route-name"></div>
+            <div class="stop-meta"></div>
+        </div>
+        <div class="saved-route-actions">
+            <button class="saved-route-btn" data-action="open" title="Open">📂</button>
+            <button class="saved-route-btn" data-action="duplicate" title="Duplicate">📄</button>
+            <button class="saved-route-btn" data-action="rename" title="Rename">✏️</button>
+            <button class="saved-route-btn" data-action="delete" title="Delete">🗑️</button>
+        </div>
+    `;
+    
+    const stopCount = record.trip.destinations.filter(d => d.address.trim() !== '').length;
+    item.querySelector('.saved-route-name').textContent = record.name;
+    item.querySelector('.stop-meta').textContent = [
+        `${stopCount} ${stopCount === 1 ? 'stop' : 'stops'}`,
+        record.trip.result ? 'optimized' : 'not optimized',
+        `saved ${record.updatedAt.toLocaleDateString()}`
+    ].join(' · ');
+    
+    const actions = {
+        open: openSavedRoute,
+        duplicate: duplicateSavedRoute,
+        rename: renameSavedRoute,
+        delete: deleteSavedRoute
+    };
+    item.querySelectorAll('.saved-route-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            actions[btn.dataset.action](record.id).catch(error => {
+                console.error('Saved route error:', error);
+                showToast('Something went wrong with the saved route', 'error');
+            });
         });
-        
-        state.markersLayer.addLayer(marker);
-        bounds.extend([point.lat, point.lng]);
     });
     
-    // Fit map to bounds
-    state.map.fitBounds(bounds, { padding: [30, 30] });
+    return item;
 }
 
 // ===================================
-// Google Maps Export
+// Share Links
 // ===================================
 
-function openInGoogleMaps() {
-    if (!state.optimizedOrder || state.optimizedOrder.length === 0) {
-        showToast('Please optimize route first', 'error');
+// Bump when the payload layout changes; older links must keep decoding
+const SHARE_LINK_VERSION = 1;
+const SHARE_HASH_PREFIX = '#trip=';
+
+// Coordinates are rounded to about a meter to keep links short
+const SHARE_COORD_DECIMALS = 5;
+
+/**
+ * Compact form of the trip for a link: short keys, defaults left out.
+ * Fragment layout is `#trip=<version>.<z|j>.<base64url>`, z for deflated JSON and j for plain JSON.
+ * @param {boolean} includeOrder - Add the optimized order of each vehicle
+ * @returns {object}
+ */
+function createSharePayload(includeOrder) {
+    const point = location => location
+        ? [location.lat, location.lng].map(value => Number(value.toFixed(SHARE_COORD_DECIMALS)))
+        : undefined;
+    const avoid = Object.keys(state.avoid).filter(option => state.avoid[option]);
+    
+    const payload = {
+        s: state.startLocation ? { a: state.startLocation.address, p: point(state.startLocation) } : undefined,
+        d: state.destinations.filter(d => d.address.trim()).map(d => ({
+            a: d.address,
+            p: point(d.location),
+            k: d.locked ? 1 : undefined,
+            n: d.name || undefined,
+            o: d.notes || undefined,
+            w: d.earliest || d.latest ? [d.earliest || '', d.latest || ''] : undefined,
+            t: d.dwellMinutes ?? undefined
+        })),
+        r: state.returnToStart ? 1 : 0,
+        e: state.useEndLocation ? { a: state.endAddress, p: point(state.endLocation) } : undefined,
+        t: elements.useDepartureTimeCheckbox.checked ? elements.departureTimeInput.value : undefined,
+        m: state.travelMode !== 'car' ? state.travelMode : undefined,
+        x: avoid.length > 0 ? avoid : undefined
+    };
+    
+    if (includeOrder && state.routePlans) {
+        const shared = state.destinations.filter(d => d.address.trim());
+        payload.o = state.routePlans.map(plan => plan.order.map(d => shared.indexOf(d)).filter(i => i >= 0));
+    }
+    
+    return payload;
+}
+
+// Copy (or share) a link that opens the app with this trip filled in
+async function shareTrip() {
+    if (!state.startLocation && !state.destinations.some(d => d.address.trim())) {
+        showToast('Add a start location or stops to share', 'error');
         return;
     }
     
-    // Build Google Maps URL
-    // Format: https://www.google.com/maps/dir/origin/waypoint1/waypoint2/.../destination
+    const includeOrder = elements.shareIncludeOrderCheckbox.checked;
+    const url = `${location.origin}${location.pathname}${SHARE_HASH_PREFIX}${await encodeSharePayload(createSharePayload(includeOrder))}`;
     
-    const origin = `${state.startLocation.lat},${state.startLocation.lng}`;
-    const waypoints = state.optimizedOrder.map(d => 
-        `${d.location.lat},${d.location.lng}`
-    );
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: 'Route Optimizer trip', url });
+            return;
+        }
+        await navigator.clipboard.writeText(url);
+        showToast('Share link copied', 'success');
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        // Clipboard blocked: let the user copy it by hand
+        prompt('Copy this link:', url);
+    }
+}
+
+async function encodeSharePayload(payload) {
+    let bytes = new TextEncoder().encode(JSON.stringify(payload));
+    let format = 'j';
+    
+    if (typeof CompressionStream !== 'undefined') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        format = 'z';
+    }
+    
+    return `${SHARE_LINK_VERSION}.${format}.${toBase64Url(bytes)}`;
+}
+
+async function decodeSharePayload(encoded) {
+    const [version, format, data] = encoded.split('.');
+    if (!data || !/^\d+$/.test(version)) {
+        throw new Error('This share link is incomplete');
+    }
+    if (Number(version) > SHARE_LINK_VERSION) {
+        throw new Error('This share link needs a newer version of the app');
+    }
+    
+    let bytes = fromBase64Url(data);
+    if (format === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot open compressed share links');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Check every field of a decoded share payload has the type createSharePayload
+ * writes. The link comes from anyone, so nothing else may reach the trip.
+ * @throws {SyntaxError} If a field is missing, mistyped or out of range
+ */
+function validateSharePayload(payload) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = value => typeof value === 'string';
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isOptional = (value, check) => value === undefined || check(value);
+    const isPoint = value => Array.isArray(value) && value.length === 2 &&
+        isNumber(value[0]) && Math.abs(value[0]) <= 90 &&
+        isNumber(value[1]) && Math.abs(value[1]) <= 180;
+    const isTime = value => isText(value) && /^(\d{2}:\d{2})?$/.test(value);
+    const isPlace = value => isObject(value) && isText(value.a) && isOptional(value.p, isPoint);
+    const isStop = value => isPlace(value) &&
+        isOptional(value.k, isNumber) &&
+        isOptional(value.n, isText) &&
+        isOptional(value.o, isText) &&
+        isOptional(value.w, w => Array.isArray(w) && w.length === 2 && w.every(isTime)) &&
+        isOptional(value.t, t => isNumber(t) && t >= 0);
     
-    let destination = waypoints[waypoints.length - 1];
-    if (state.returnToStart) {
-        destination = origin;
+    const valid = isObject(payload) &&
+        isOptional(payload.s, isPlace) &&
+        isOptional(payload.d, d => Array.isArray(d) && d.every(isStop)) &&
+        isOptional(payload.r, isNumber) &&
+        isOptional(payload.e, isPlace) &&
+        isOptional(payload.t, t => isText(t) && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(t)) &&
+        isOptional(payload.m, isText) &&
+        isOptional(payload.x, x => Array.isArray(x) && x.every(isText)) &&
+        isOptional(payload.o, o => Array.isArray(o) && o.every(plan =>
+            Array.isArray(plan) && plan.every(i => Number.isInteger(i) && i >= 0)));
+    if (!valid) {
+        throw new SyntaxError('Unexpected share link contents');
+    }
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    // Chunked so long trips don't overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Load the trip in the URL fragment, if any, replacing the working trip. Stops
+ * that came with coordinates are not geocoded again.
+ * @returns {Promise<boolean>} Whether a trip with a start location was loaded
+ */
+async function openSharedTrip() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) {
+        return false;
     }
     
-    // Google Maps URL structure
-    let url = `https://www.google.com/maps/dir/${origin}`;
+    const encoded = location.hash.slice(SHARE_HASH_PREFIX.length);
+    // Don't load it again on reload
+    history.replaceState(null, '', location.pathname + location.search);
+    if (!confirmDiscardProofs()) {
+        return false;
+    }
     
-    // Add waypoints (all except the last if not returning to start)
-    const waypointCount = state.returnToStart ? waypoints.length : waypoints.length - 1;
-    for (let i = 0; i < waypointCount; i++) {
-        url += `/${waypoints[i]}`;
+    let payload;
+    try {
+        payload = await decodeSharePayload(encoded);
+        validateSharePayload(payload);
+    } catch (error) {
+        console.error('Could not read share link:', error);
+        showToast(error instanceof SyntaxError ? 'This share link is damaged' : error.message, 'error');
+        return false;
     }
     
-    url += `/${destination}`;
+    const toLocation = (address, point) => point ? { address, lat: point[0], lng: point[1] } : null;
+    
+    let destinations = (payload.d || []).map(entry => {
+        const destination = createDestination();
+        destination.address = entry.a;
+        destination.location = toLocation(entry.a, entry.p);
+        destination.locked = Boolean(entry.k);
+        destination.name = entry.n || '';
+        destination.notes = entry.o || '';
+        destination.earliest = entry.w ? entry.w[0] || null : null;
+        destination.latest = entry.w ? entry.w[1] || null : null;
+        destination.dwellMinutes = entry.t ?? null;
+        return destination;
+    });
     
-    // Add departure time if set (Google Maps uses travelmode and departure time)
-    if (state.departureTime) {
-        const timestamp = Math.floor(state.departureTime.getTime() / 1000);
-        url += `?travelmode=driving`;
+    // List the stops in the shared optimized order, any others after them
+    if (payload.o) {
+        const ordered = payload.o.flat().map(i => destinations[i]).filter(Boolean);
+        destinations = [...ordered, ...destinations.filter(d => !ordered.includes(d))];
     }
     
-    // Open in new tab - Google Maps will show real-time traffic
-    window.open(url, '_blank');
-    showToast('Opening Google Maps with traffic data...', 'success');
+    applyTrip({
+        ...serializeTrip(),
+        startLocation: payload.s ? toLocation(payload.s.a, payload.s.p) : null,
+        destinations: destinations.length > 0 ? destinations : [createDestination()],
+        returnToStart: payload.r !== 0,
+        useEndLocation: Boolean(payload.e),
+        endAddress: payload.e ? payload.e.a : '',
+        endLocation: payload.e ? toLocation(payload.e.a, payload.e.p) : null,
+        useDepartureTime: Boolean(payload.t),
+        departureTimeValue: payload.t || elements.departureTimeInput.value,
+        travelMode: TRAVEL_MODES[payload.m] ? payload.m : 'car',
+        avoid: Object.fromEntries((payload.x || []).map(option => [option, true])),
+        result: null,
+        run: null
+    });
+    state.savedRouteId = null;
+    elements.routeNameInput.value = '';
+    renderSavedRoutes();
+    
+    const count = destinations.length;
+    elements.sharedTripText.textContent = `🔗 Shared trip with ${count} ${count === 1 ? 'stop' : 'stops'}${payload.o ? ', in optimized order' : ''}`;
+    elements.sharedTripBanner.style.display = 'flex';
+    elements.sharedOptimizeBtn.disabled = elements.optimizeBtn.disabled;
+    scheduleAutosave();
+    
+    return state.startLocation !== null;
 }
 
 // ===================================
@@ -53,11 +53,15 @@ self.addEventListener('fetch', (event) => {
         return;
     }
     
-    // For API calls (Nominatim, OSRM, Valhalla), always use network
+    // For API calls (geocoders, OSRM, Valhalla), always use network.
+    // Self-hosted servers can live on any host, so match their paths too.
     if (url.hostname.includes('nominatim') || 
         url.hostname.includes('osrm') ||
         url.hostname.includes('router.project-osrm') ||
-        url.hostname.includes('valhalla')) {
+        url.hostname.includes('valhalla') ||
+        url.pathname.includes('/route/v1/') ||
+        url.pathname.includes('/table/v1/') ||
+        /\/(search|reverse|api\/)$/.test(url.pathname)) {
         event.respondWith(
             fetch(request)
                 .catch(() => {